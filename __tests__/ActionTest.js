@@ -0,0 +1,115 @@
+const Reactor = require('../src/Reactor')
+
+function wait (n) {
+  return new Promise(resolve => setTimeout(resolve, n))
+}
+
+function createStore () {
+  return new Reactor({
+    state: {
+      loading: false,
+      books: []
+    },
+    getters: {
+      count: state => state.books.length
+    },
+    mutations: {
+      setLoading: ({ value }, { state }) => {
+        state.loading = value
+      },
+      addBook: ({ title }, { state }) => {
+        state.books.push({ title })
+      }
+    },
+    actions: {
+      loadBooks: async ({ titles }, { commit, getters }) => {
+        commit('setLoading', { value: true })
+        await wait(1)
+        titles.forEach(title => commit('addBook', { title }))
+        commit('setLoading', { value: false })
+        return getters.count
+      },
+      loadMoreBooks: async ({ titles }, { dispatch }) => {
+        const n = await dispatch('loadBooks', { titles })
+        return n * 10
+      },
+      failToLoad: async () => {
+        await wait(1)
+        throw new Error('network error')
+      }
+    }
+  })
+}
+
+describe('actions', function () {
+  it('should run mutations asynchronously and resolve with action result', async function () {
+    const r = createStore()
+    const p = r.dispatch('loadBooks', { titles: ['Dune', 'Hyperion'] })
+    expect(r.state.loading).toBe(true)
+    const n = await p
+    expect(n).toBe(2)
+    expect(r.state.loading).toBe(false)
+    expect(r.state.books.map(b => b.title)).toEqual(['Dune', 'Hyperion'])
+  })
+
+  it('should be callable through reactor.actions and dispatch other actions', async function () {
+    const r = createStore()
+    const n = await r.actions.loadMoreBooks({ titles: ['Foundation'] })
+    expect(n).toBe(10)
+  })
+
+  it('should emit action events', async function () {
+    const r = createStore()
+    const aLog = []
+    r.events.on('action:start', ({ name, payload }) => aLog.push(['start', name, payload]))
+    r.events.on('action:end', ({ name, payload }) => aLog.push(['end', name, payload]))
+    r.events.on('action:error', ({ name, error }) => aLog.push(['error', name, error.message]))
+    await r.dispatch('loadBooks', { titles: [] })
+    await expect(r.dispatch('failToLoad')).rejects.toThrow('network error')
+    expect(aLog).toEqual([
+      ['start', 'loadBooks', { titles: [] }],
+      ['end', 'loadBooks', { titles: [] }],
+      ['start', 'failToLoad', undefined],
+      ['error', 'failToLoad', 'network error']
+    ])
+  })
+
+  it('should pass context first when mutationParamOrder is CONTEXT_PAYLOAD', async function () {
+    const r = new Reactor({
+      state: {
+        x: 0
+      },
+      mutations: {
+        setX: ({ state }, { value }) => {
+          state.x = value
+        }
+      },
+      actions: {
+        setXLater: async ({ commit }, { value }) => {
+          await wait(1)
+          commit('setX', { value })
+        }
+      },
+      config: {
+        mutationParamOrder: Reactor.CONSTS.MUTATION_PARAM_ORDER_CONTEXT_PAYLOAD
+      }
+    })
+    await r.dispatch('setXLater', { value: 5 })
+    expect(r.state.x).toBe(5)
+  })
+
+  it('should reject when dispatching an undefined action', async function () {
+    const r = createStore()
+    await expect(r.dispatch('xyz')).rejects.toThrow('Cannot dispatch action "xyz" : this action is not defined.')
+    expect(() => r.commit('xyz')).toThrow('Cannot commit mutation "xyz" : this mutation is not defined.')
+  })
+
+  it('should throw when an action is not a function', function () {
+    expect(() => new Reactor({
+      state: {},
+      actions: {
+        a: 1
+      }
+    })).toThrow(new TypeError('Action "a" must be a function ; "number" was given.'))
+  })
+})
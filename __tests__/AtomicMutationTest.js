@@ -0,0 +1,95 @@
+const Reactor = require('../src/Reactor')
+
+describe('atomic mutations', function () {
+  function create (config) {
+    const r = new Reactor({
+      state: {
+        gold: 100,
+        inventory: [],
+        flags: {}
+      },
+      getters: {
+        itemCount: state => state.inventory.length,
+        gold: state => state.gold
+      },
+      mutations: {
+        buy: ({ item, price }, { state }) => {
+          state.gold -= price
+          state.inventory.push(item)
+          state.flags.hasBought = true
+          if (state.gold < 0) {
+            throw new Error('not enough gold')
+          }
+        },
+        buyTwice: ({ item, price }, { state }) => {
+          state.flags.triedTwice = true
+          r.mutations.buy({ item, price })
+          try {
+            r.mutations.buy({ item, price })
+          } catch (e) {
+            // second purchase failed, first one is kept
+          }
+        }
+      },
+      config
+    })
+    return r
+  }
+
+  it('should revert all changes made by a mutation that throws', function () {
+    const r = create()
+    expect(r.getters.itemCount).toBe(0)
+    expect(() => r.mutations.buy({ item: 'castle', price: 500 })).toThrow('not enough gold')
+    expect(r.state.gold).toBe(100)
+    expect(r.state.inventory).toEqual([])
+    expect(r.state.flags).toEqual({})
+    expect(r.getters.itemCount).toBe(0)
+    expect(r.getters.gold).toBe(100)
+  })
+
+  it('should not emit mutation event for a failed mutation', function () {
+    const r = create()
+    const aLog = []
+    r.events.on('mutation', ({ name }) => aLog.push(name))
+    r.mutations.buy({ item: 'sword', price: 10 })
+    expect(() => r.mutations.buy({ item: 'castle', price: 500 })).toThrow()
+    expect(aLog).toEqual(['buy'])
+  })
+
+  it('should only revert the failed nested mutation', function () {
+    const r = create()
+    r.mutations.buyTwice({ item: 'horse', price: 60 })
+    expect(r.state.gold).toBe(40)
+    expect(r.state.inventory).toEqual(['horse'])
+    expect(r.state.flags).toEqual({ triedTwice: true, hasBought: true })
+  })
+
+  it('should not record failed mutations in history', function () {
+    const r = create({ history: true })
+    r.mutations.buy({ item: 'sword', price: 10 })
+    expect(() => r.mutations.buy({ item: 'castle', price: 500 })).toThrow()
+    r.history.undo()
+    expect(r.state.gold).toBe(100)
+    expect(r.state.inventory).toEqual([])
+    expect(r.history.canUndo).toBe(false)
+  })
+
+  it('should not notify watchers of reverted changes', function () {
+    const r = create()
+    const aLog = []
+    r.watch('gold', (value, oldValue) => aLog.push(['gold', value, oldValue]))
+    r.watch(state => state.inventory, () => aLog.push(['inventory']), { deep: true })
+    expect(() => r.mutations.buy({ item: 'castle', price: 500 })).toThrow()
+    expect(aLog).toEqual([])
+    // watchers still track their dependencies
+    r.mutations.buy({ item: 'sword', price: 10 })
+    expect(aLog).toEqual([['gold', 90, 100], ['inventory']])
+  })
+
+  it('should keep partial changes when atomicMutations is off', function () {
+    const r = create({ atomicMutations: false })
+    expect(() => r.mutations.buy({ item: 'castle', price: 500 })).toThrow()
+    expect(r.state.gold).toBe(-400)
+    expect(r.getters.itemCount).toBe(1)
+  })
+})
@@ -0,0 +1,132 @@
+const Reactor = require('../src/Reactor')
+
+function createStore (config = {}) {
+  return new Reactor({
+    state: {
+      items: [],
+      total: 0
+    },
+    getters: {
+      count: state => state.items.length,
+      sum: state => state.items.reduce((prev, curr) => prev + curr, 0)
+    },
+    mutations: {
+      addItem: ({ value }, { state }) => {
+        state.items.push(value)
+        state.total += value
+      },
+      addItems: ({ values }, { state }) => {
+        values.forEach(value => state.items.push(value))
+      }
+    },
+    config
+  })
+}
+
+describe('batch', function () {
+  it('should run effects once, when the batch is over', function () {
+    const r = createStore()
+    const aLog = []
+    r.effect((state, getters) => aLog.push(getters.count))
+    r.batch(() => {
+      for (let i = 0; i < 1000; ++i) {
+        r.state.items.push(i)
+      }
+      expect(aLog).toEqual([0])
+    })
+    expect(aLog).toEqual([0, 1000])
+  })
+
+  it('should coalesce repeated writes of the same property', function () {
+    const r = createStore()
+    expect(r.getters.count).toBe(0)
+    const invalidateDependent = jest.spyOn(r, 'invalidateDependent')
+    r.batch(() => {
+      for (let i = 0; i < 1000; ++i) {
+        r.state.items.push(i)
+      }
+    })
+    // "count" depends on items.length only : it is invalidated once
+    expect(invalidateDependent).toHaveBeenCalledTimes(1)
+    expect(r.getters.count).toBe(1000)
+  })
+
+  it('should keep getters up to date inside a batch', function () {
+    const r = createStore()
+    r.batch(() => {
+      r.state.items.push(1)
+      expect(r.getters.sum).toBe(1)
+      r.state.items.push(2)
+      expect(r.getters.sum).toBe(3)
+      r.state.items[0] = 10
+      expect(r.getters.sum).toBe(12)
+    })
+    expect(r.getters.sum).toBe(12)
+  })
+
+  it('should hold mutation events until the outermost batch is over', function () {
+    const r = createStore()
+    const aLog = []
+    r.events.on('mutation', ({ name, payload }) => aLog.push(name + ':' + payload.value))
+    r.batch(() => {
+      r.mutations.addItem({ value: 1 })
+      r.batch(() => {
+        r.mutations.addItem({ value: 2 })
+      })
+      expect(aLog).toEqual([])
+    })
+    expect(aLog).toEqual(['addItem:1', 'addItem:2'])
+  })
+
+  it('should return the result of the batched function', function () {
+    const r = createStore()
+    expect(r.batch(() => 42)).toBe(42)
+  })
+
+  it('should run each mutation as a batch when batchMutations is set', function () {
+    const r = createStore({ batchMutations: true })
+    const aLog = []
+    r.effect((state, getters) => aLog.push(getters.count))
+    r.mutations.addItems({ values: [1, 2, 3, 4] })
+    expect(aLog).toEqual([0, 4])
+  })
+
+  it('should keep coalescing writes when an unrelated getter is computed', function () {
+    const r = new Reactor({
+      state: { items: [], total: 0 },
+      getters: {
+        count: state => state.items.length,
+        total: state => state.total
+      }
+    })
+    expect(r.getters.count).toBe(0)
+    const invalidateDependent = jest.spyOn(r, 'invalidateDependent')
+    r.batch(() => {
+      r.state.items.push(0)
+      expect(r.getters.total).toBe(0)
+      for (let i = 1; i < 1000; ++i) {
+        r.state.items.push(i)
+      }
+    })
+    expect(invalidateDependent).toHaveBeenCalledTimes(1)
+    expect(r.getters.count).toBe(1000)
+  })
+
+  it('should only run the mutations named in batchMutations as batches', function () {
+    const r = createStore({ batchMutations: ['addItems'] })
+    expect(r.getters.count).toBe(0)
+    const invalidateDependent = jest.spyOn(r, 'invalidateDependent')
+    r.mutations.addItems({ values: [1, 2, 3, 4] })
+    expect(invalidateDependent).toHaveBeenCalledTimes(1)
+    r.mutations.addItem({ value: 5 })
+    r.mutations.addItem({ value: 6 })
+    expect(r.getters.count).toBe(6)
+    expect(r.isBatchedMutation('addItems')).toBe(true)
+    expect(r.isBatchedMutation('addItem')).toBe(false)
+  })
+
+  it('should throw an error when batchMutations is neither a boolean nor an array', function () {
+    expect(() => createStore({ batchMutations: 'addItems' }))
+      .toThrow(new TypeError('Batch mutations must be a boolean or an array ; "string" was given.'))
+  })
+})
@@ -0,0 +1,172 @@
+const Reactor = require('../src/Reactor')
+
+function createStore (config = {}) {
+  return new Reactor({
+    state: {
+      a: 1,
+      hero: {
+        name: 'conan',
+        inventory: ['sword']
+      },
+      tags: new Set(),
+      scores: new Map()
+    },
+    getters: {
+      heroName: state => state.hero.name
+    },
+    mutations: {
+      rename: ({ name }, { state }) => {
+        state.hero.name = name
+      },
+      addItem: ({ item }, { state }) => {
+        state.hero.inventory.push(item)
+      },
+      fail: (payload, { state }) => {
+        state.a = 100
+        throw new Error('failure')
+      }
+    },
+    config
+  })
+}
+
+function listen (r) {
+  const aLog = []
+  r.events.on('change', change => aLog.push(change))
+  return aLog
+}
+
+describe('change events', function () {
+  it('should emit a "set" change with path and values', function () {
+    const r = createStore()
+    const aLog = listen(r)
+    r.mutations.rename({ name: 'red sonja' })
+    expect(aLog).toEqual([{
+      path: ['hero', 'name'],
+      type: 'set',
+      oldValue: 'conan',
+      newValue: 'red sonja',
+      mutation: 'rename'
+    }])
+  })
+
+  it('should emit "add" and "delete" changes', function () {
+    const r = createStore()
+    const aLog = listen(r)
+    r.state.hero.level = 1
+    delete r.state.hero.level
+    expect(aLog).toEqual([
+      { path: ['hero', 'level'], type: 'add', oldValue: undefined, newValue: 1, mutation: null },
+      { path: ['hero', 'level'], type: 'delete', oldValue: 1, newValue: undefined, mutation: null }
+    ])
+  })
+
+  it('should emit array index and "length" changes', function () {
+    const r = createStore()
+    const aLog = listen(r)
+    r.mutations.addItem({ item: 'shield' })
+    expect(aLog).toEqual([
+      { path: ['hero', 'inventory', 1], type: 'add', oldValue: undefined, newValue: 'shield', mutation: 'addItem' },
+      { path: ['hero', 'inventory', 'length'], type: 'length', oldValue: 1, newValue: 2, mutation: 'addItem' }
+    ])
+    aLog.splice(0)
+    r.state.hero.inventory.length = 0
+    expect(aLog.map(({ path, type }) => [path.join('.'), type])).toEqual([
+      ['hero.inventory.1', 'delete'],
+      ['hero.inventory.0', 'delete'],
+      ['hero.inventory.length', 'length']
+    ])
+  })
+
+  it('should emit changes of Map and Set', function () {
+    const r = createStore()
+    const aLog = listen(r)
+    r.state.scores.set('conan', 10)
+    r.state.tags.add('barbarian')
+    r.state.tags.delete('barbarian')
+    expect(aLog).toEqual([
+      { path: ['scores', 'conan'], type: 'add', oldValue: undefined, newValue: 10, mutation: null },
+      { path: ['tags'], type: 'add', oldValue: undefined, newValue: 'barbarian', mutation: null },
+      { path: ['tags'], type: 'delete', oldValue: 'barbarian', newValue: undefined, mutation: null }
+    ])
+  })
+
+  it('should not give a wrong path to an object held by a Set', function () {
+    const r = createStore()
+    r.state.tags.add({ x: 1 })
+    const aLog = listen(r)
+    const item = [...r.state.tags][0]
+    item.x = 2
+    expect(item.x).toBe(2)
+    expect(aLog).toEqual([])
+    r.state.hero.item = item
+    item.x = 3
+    expect(aLog.map(({ path }) => path)).toEqual([['hero', 'item'], ['hero', 'item', 'x']])
+  })
+
+  it('should give the current path of a moved object', function () {
+    const r = createStore()
+    r.state.backup = r.state.hero
+    r.state.backup = null
+    const aLog = listen(r)
+    r.mutations.rename({ name: 'valeria' })
+    expect(aLog.map(({ path }) => path)).toEqual([['hero', 'name']])
+  })
+
+  it('should emit a change for each place of an object stored at several places', function () {
+    const r = new Reactor({
+      state: {
+        party: [],
+        selection: []
+      }
+    })
+    const hero = { name: 'conan' }
+    r.state.party.push({ name: 'valeria' }, hero)
+    r.state.selection.push(hero)
+    const aLog = listen(r)
+    r.state.selection[0].name = 'red sonja'
+    expect(aLog.map(({ path }) => path.join('.'))).toEqual(['party.1.name', 'selection.0.name'])
+    aLog.splice(0)
+    r.state.party.shift()
+    aLog.splice(0)
+    r.state.party[0].name = 'conan'
+    expect(aLog.map(({ path }) => path.join('.'))).toEqual(['selection.0.name', 'party.0.name'])
+    aLog.splice(0)
+    r.state.party.pop()
+    r.state.party.push({ name: 'subotai' })
+    aLog.splice(0)
+    r.state.selection[0].name = 'valeria'
+    expect(aLog.map(({ path }) => path.join('.'))).toEqual(['selection.0.name'])
+  })
+
+  it('should let listeners read up to date getters', function () {
+    const r = createStore()
+    const aNames = []
+    expect(r.getters.heroName).toBe('conan')
+    r.events.on('change', () => aNames.push(r.getters.heroName))
+    r.mutations.rename({ name: 'valeria' })
+    expect(aNames).toEqual(['valeria'])
+  })
+
+  it('should hold change events back until the end of a batch', function () {
+    const r = createStore()
+    const aLog = listen(r)
+    r.batch(() => {
+      r.state.a = 2
+      r.state.a = 3
+      expect(aLog).toEqual([])
+    })
+    expect(aLog.map(({ oldValue, newValue }) => [oldValue, newValue])).toEqual([[1, 2], [2, 3]])
+  })
+
+  it('should emit changes reverting a failed mutation', function () {
+    const r = createStore()
+    const aLog = listen(r)
+    expect(() => r.mutations.fail()).toThrow(new Error('failure'))
+    expect(aLog.map(({ oldValue, newValue, mutation }) => [oldValue, newValue, mutation])).toEqual([
+      [1, 100, 'fail'],
+      [100, 1, 'fail']
+    ])
+    expect(r.state.a).toBe(1)
+  })
+})
@@ -0,0 +1,159 @@
+const Reactor = require('../src/Reactor')
+
+describe('Map in state', function () {
+  function createStore () {
+    return new Reactor({
+      state: {
+        monsters: new Map([
+          ['m1', { name: 'goblin', hp: 5 }],
+          ['m2', { name: 'orc', hp: 12 }]
+        ])
+      },
+      getters: {
+        getGoblin: state => state.monsters.get('m1'),
+        hasM3: state => state.monsters.has('m3'),
+        count: state => state.monsters.size,
+        totalHP: state => [...state.monsters.values()].reduce((prev, curr) => prev + curr.hp, 0)
+      }
+    })
+  }
+
+  it('should keep Map type and entries', function () {
+    const r = createStore()
+    expect(r.state.monsters).toBeInstanceOf(Map)
+    expect(r.state.monsters.size).toBe(2)
+    expect(r.state.monsters.get('m2').name).toBe('orc')
+    expect([...r.state.monsters.keys()]).toEqual(['m1', 'm2'])
+    expect(r.isReactive(r.state.monsters.get('m2'))).toBeTruthy()
+  })
+
+  it('should invalidate getters per key', function () {
+    let nComputed = 0
+    const r = new Reactor({
+      state: {
+        m: new Map([['a', 1], ['b', 2]])
+      },
+      getters: {
+        getA: state => {
+          ++nComputed
+          return state.m.get('a')
+        }
+      }
+    })
+    expect(r.getters.getA).toBe(1)
+    r.state.m.set('b', 20)
+    expect(r.getters.getA).toBe(1)
+    expect(nComputed).toBe(1)
+    r.state.m.set('a', 10)
+    expect(r.getters.getA).toBe(10)
+    expect(nComputed).toBe(2)
+  })
+
+  it('should invalidate getters on has, size and iteration changes', function () {
+    const r = createStore()
+    expect(r.getters.hasM3).toBe(false)
+    expect(r.getters.count).toBe(2)
+    expect(r.getters.totalHP).toBe(17)
+    r.state.monsters.set('m3', { name: 'troll', hp: 30 })
+    expect(r.getters.hasM3).toBe(true)
+    expect(r.getters.count).toBe(3)
+    expect(r.getters.totalHP).toBe(47)
+    r.state.monsters.get('m3').hp = 20
+    expect(r.getters.totalHP).toBe(37)
+    r.state.monsters.delete('m3')
+    expect(r.getters.hasM3).toBe(false)
+    expect(r.getters.count).toBe(2)
+    expect(r.getters.totalHP).toBe(17)
+    r.state.monsters.clear()
+    expect(r.getters.getGoblin).toBeUndefined()
+    expect(r.getters.count).toBe(0)
+    expect(r.getters.totalHP).toBe(0)
+  })
+
+  it('should track forEach and support object keys', function () {
+    const oKey = { id: 1 }
+    const r = new Reactor({
+      state: {
+        m: new Map()
+      },
+      getters: {
+        getList: state => {
+          const a = []
+          state.m.forEach((value, key) => a.push(key.id + ':' + value))
+          return a
+        },
+        getByKey: state => state.m.get(oKey)
+      }
+    })
+    expect(r.getters.getList).toEqual([])
+    expect(r.getters.getByKey).toBeUndefined()
+    r.state.m.set(oKey, 'x')
+    expect(r.getters.getList).toEqual(['1:x'])
+    expect(r.getters.getByKey).toBe('x')
+  })
+
+  it('should invalidate getters when replacing a Map in state', function () {
+    const r = new Reactor({
+      state: {
+        lookup: null
+      },
+      getters: {
+        getX: state => state.lookup ? state.lookup.get('x') : null
+      }
+    })
+    expect(r.getters.getX).toBeNull()
+    r.state.lookup = new Map([['x', 42]])
+    expect(r.getters.getX).toBe(42)
+    r.state.lookup.set('x', 43)
+    expect(r.getters.getX).toBe(43)
+  })
+})
+
+describe('Set in state', function () {
+  it('should keep Set type and invalidate getters on add and delete', function () {
+    const r = new Reactor({
+      state: {
+        tags: new Set(['red', 'blue'])
+      },
+      getters: {
+        hasGreen: state => state.tags.has('green'),
+        list: state => [...state.tags].sort().join(','),
+        count: state => state.tags.size
+      }
+    })
+    expect(r.state.tags).toBeInstanceOf(Set)
+    expect(r.getters.hasGreen).toBe(false)
+    expect(r.getters.list).toBe('blue,red')
+    r.state.tags.add('green')
+    expect(r.getters.hasGreen).toBe(true)
+    expect(r.getters.list).toBe('blue,green,red')
+    expect(r.getters.count).toBe(3)
+    r.state.tags.delete('red')
+    expect(r.getters.list).toBe('blue,green')
+    expect(r.getters.count).toBe(2)
+    r.state.tags.add('blue') // already there
+    expect(r.getters.count).toBe(2)
+  })
+
+  it('should find objects added to a Set', function () {
+    const r = new Reactor({
+      state: {
+        selection: new Set()
+      },
+      getters: {
+        isSelected: state => item => state.selection.has(item)
+      }
+    })
+    const sword = { name: 'sword' }
+    r.state.selection.add(sword)
+    expect(r.state.selection.has(sword)).toBe(true)
+    expect(r.getters.isSelected(sword)).toBe(true)
+    r.state.selection.add(sword)
+    expect(r.state.selection.size).toBe(1)
+    const [oStored] = r.state.selection
+    expect(r.state.selection.has(oStored)).toBe(true)
+    expect(r.state.selection.delete(sword)).toBe(true)
+    expect(r.state.selection.has(sword)).toBe(false)
+    expect(r.getters.isSelected(sword)).toBe(false)
+  })
+})
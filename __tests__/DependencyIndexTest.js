@@ -0,0 +1,110 @@
+const Reactor = require('../src/Reactor')
+const DependencyIndex = require('../src/DependencyIndex')
+const DependencyRegistry = require('../src/DependencyRegistry')
+
+describe('DependencyIndex', function () {
+  it('should register dependents per target and property', function () {
+    const index = new DependencyIndex()
+    const t1 = {}
+    const t2 = {}
+    const d1 = { name: 'd1' }
+    const d2 = { name: 'd2' }
+    index.add(t1, 'x', d1)
+    index.add(t1, 'x', d2)
+    index.add(t2, 'x', d2)
+    expect([...index.get(t1, 'x')]).toEqual([d1, d2])
+    expect([...index.get(t2, 'x')]).toEqual([d2])
+    expect(index.get(t1, 'y')).toBeUndefined()
+    index.remove(t1, 'x', d1)
+    expect([...index.get(t1, 'x')]).toEqual([d2])
+  })
+
+  it('should unregister all dependencies of a registry when it is reset', function () {
+    const index = new DependencyIndex()
+    const owner = {}
+    const depreg = new DependencyRegistry(index, owner)
+    const t = {}
+    depreg.add(t, 'a')
+    depreg.add(t, 'b')
+    expect(depreg.has(t, 'a')).toBe(true)
+    expect(index.get(t, 'a').has(owner)).toBe(true)
+    depreg.reset()
+    expect(depreg.has(t, 'a')).toBe(false)
+    expect(index.get(t, 'a')).toBeUndefined()
+    expect(index.get(t, 'b')).toBeUndefined()
+  })
+
+  it('should drop dependencies a getter no longer reads', function () {
+    let nComputed = 0
+    const r = new Reactor({
+      state: { useA: true, a: 1, b: 2 },
+      getters: {
+        value: state => {
+          ++nComputed
+          return state.useA ? state.a : state.b
+        }
+      }
+    })
+    expect(r.getters.value).toBe(1)
+    r.state.useA = false
+    expect(r.getters.value).toBe(2)
+    r.state.a = 10 // not a dependency anymore
+    expect(r.getters.value).toBe(2)
+    expect(nComputed).toBe(2)
+  })
+})
+
+describe('trigger cost', function () {
+  const GETTER_COUNT = 500
+  const WRITE_COUNT = 1000
+
+  function createStore () {
+    const state = {}
+    const getters = {}
+    for (let i = 0; i < GETTER_COUNT; ++i) {
+      state['p' + i] = i
+      getters['g' + i] = state => state['p' + i] * 2
+    }
+    const r = new Reactor({ state, getters })
+    for (let i = 0; i < GETTER_COUNT; ++i) {
+      expect(r.getters['g' + i]).toBe(i * 2)
+    }
+    return r
+  }
+
+  /**
+   * This is how trigger() used to find dependent getters : by asking every getter registry
+   */
+  function linearTrigger (r, target, property) {
+    const aInvalidated = []
+    r.iterate(r._getterData, gns => {
+      if (gns._depreg.has(target, property)) {
+        aInvalidated.push(gns)
+      }
+    })
+    return aInvalidated
+  }
+
+  it('should find dependent getters without asking every getter registry', function () {
+    const r = createStore()
+    const target = r._targets.get(r.state)
+    const spy = jest.spyOn(DependencyRegistry.prototype, 'has')
+    try {
+      for (let i = 0; i < WRITE_COUNT; ++i) {
+        linearTrigger(r, target, 'p' + (i % GETTER_COUNT))
+      }
+      expect(spy).toHaveBeenCalledTimes(WRITE_COUNT * GETTER_COUNT)
+      spy.mockClear()
+      for (let i = 0; i < WRITE_COUNT; ++i) {
+        r.trigger(target, 'p' + (i % GETTER_COUNT))
+      }
+      expect(spy).not.toHaveBeenCalled()
+    } finally {
+      spy.mockRestore()
+    }
+    // all getters have been invalidated
+    for (let i = 0; i < GETTER_COUNT; ++i) {
+      expect(r._getterData['g' + i]._invalidCache).toBe(true)
+    }
+  })
+})
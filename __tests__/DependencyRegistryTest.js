@@ -0,0 +1,66 @@
+const Reactor = require('../src/Reactor')
+const DependencyRegistry = require('../src/DependencyRegistry')
+
+function nextTick () {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+/**
+ * Weak references are kept alive until the end of the current job : gc must run on a later tick.
+ * global.gc is given by node --expose-gc (see the test script)
+ */
+async function collectGarbage () {
+  await nextTick()
+  global.gc()
+  await nextTick()
+}
+
+describe('DependencyRegistry', function () {
+  it('should register target/property pairs', function () {
+    const depreg = new DependencyRegistry()
+    const t1 = {}
+    const t2 = {}
+    depreg.add(t1, 'a')
+    depreg.add(t1, 'a')
+    depreg.add(t1, 'b')
+    depreg.add(t2, 'a')
+    expect(depreg.has(t1, 'a')).toBe(true)
+    expect(depreg.has(t2, 'b')).toBe(false)
+    const aPairs = []
+    depreg.forEach((target, property) => aPairs.push([target, property]))
+    expect(aPairs).toEqual([[t1, 'a'], [t1, 'b'], [t2, 'a']])
+    expect(depreg.data.get(t1)).toEqual(new Set(['a', 'b']))
+    depreg.reset()
+    expect(depreg.has(t1, 'a')).toBe(false)
+    expect(depreg.data.size).toBe(0)
+  })
+
+  it('should not keep targets alive', async function () {
+    const depreg = new DependencyRegistry()
+    let t = { hp: 10 }
+    const ref = new WeakRef(t)
+    depreg.add(t, 'hp')
+    t = null
+    await collectGarbage()
+    expect(ref.deref()).toBeUndefined()
+    expect(depreg.data.size).toBe(0)
+    depreg.reset()
+  })
+
+  it('should let objects removed from state be garbage collected', async function () {
+    const r = new Reactor({
+      state: { entity: { hp: 10 } },
+      getters: {
+        hp: state => state.entity.hp
+      }
+    })
+    expect(r.getters.hp).toBe(10)
+    const ref = new WeakRef(r._targets.get(r.state.entity))
+    // the getter is not computed again : it still has the removed entity among its dependencies
+    r.state.entity = { hp: 20 }
+    await collectGarbage()
+    expect(ref.deref()).toBeUndefined()
+    expect(r.inspect().hp.dependencies).toEqual(['entity'])
+    expect(r.getters.hp).toBe(20)
+  })
+})
@@ -0,0 +1,143 @@
+const Reactor = require('../src/Reactor')
+
+describe('effect', function () {
+  it('should run effect right away and each time a dependency changes', function () {
+    const r = new Reactor({
+      state: {
+        a: 1,
+        b: 2
+      }
+    })
+    const aLog = []
+    r.effect(state => aLog.push(state.a))
+    expect(aLog).toEqual([1])
+    r.state.a = 5
+    expect(aLog).toEqual([1, 5])
+    r.state.b = 10 // not a dependency
+    expect(aLog).toEqual([1, 5])
+  })
+
+  it('should re-run effect when a getter it reads is invalidated', function () {
+    const r = new Reactor({
+      state: {
+        items: []
+      },
+      getters: {
+        count: state => state.items.length
+      },
+      mutations: {
+        addItem: ({ item }, { state }) => state.items.push(item)
+      }
+    })
+    const aLog = []
+    r.effect((state, getters) => aLog.push('count : ' + getters.count))
+    r.mutations.addItem({ item: 'potion' })
+    r.mutations.addItem({ item: 'scroll' })
+    expect(aLog[0]).toBe('count : 0')
+    expect(aLog[aLog.length - 1]).toBe('count : 2')
+  })
+
+  it('should track new dependencies on each run', function () {
+    const r = new Reactor({
+      state: {
+        useA: true,
+        a: 'A',
+        b: 'B'
+      }
+    })
+    const aLog = []
+    r.effect(state => aLog.push(state.useA ? state.a : state.b))
+    r.state.b = 'B2' // not a dependency yet
+    expect(aLog).toEqual(['A'])
+    r.state.useA = false
+    expect(aLog).toEqual(['A', 'B2'])
+    r.state.a = 'A2' // not a dependency anymore
+    expect(aLog).toEqual(['A', 'B2'])
+    r.state.b = 'B3'
+    expect(aLog).toEqual(['A', 'B2', 'B3'])
+  })
+
+  it('should not run effect anymore once disposed', function () {
+    const r = new Reactor({
+      state: {
+        a: 1
+      }
+    })
+    const aLog = []
+    const dispose = r.effect(state => aLog.push(state.a))
+    r.state.a = 2
+    dispose()
+    r.state.a = 3
+    expect(aLog).toEqual([1, 2])
+  })
+
+  it('should not loop when effect modifies its own dependency', function () {
+    const r = new Reactor({
+      state: {
+        n: 0
+      }
+    })
+    r.effect(state => {
+      state.n = state.n + 1
+    })
+    expect(r.state.n).toBe(1)
+  })
+
+  it('should run effect once per array method call, with consistent getters', function () {
+    const r = new Reactor({
+      state: {
+        list: [1, 2]
+      },
+      getters: {
+        len: state => state.list.length
+      }
+    })
+    const aLog = []
+    r.effect((state, getters) => aLog.push([state.list[state.list.length - 1], getters.len]))
+    r.state.list.push(3)
+    expect(aLog).toEqual([[2, 2], [3, 3]])
+    r.state.list.splice(0, 2)
+    expect(aLog).toEqual([[2, 2], [3, 3], [3, 1]])
+  })
+
+  it('should run effect once a mutation is over', function () {
+    const r = new Reactor({
+      state: {
+        a: 1,
+        b: 2
+      },
+      mutations: {
+        swap: (payload, { state }) => {
+          const a = state.a
+          state.a = state.b
+          state.b = a
+        }
+      }
+    })
+    const aLog = []
+    r.effect(state => aLog.push(state.a + ',' + state.b))
+    r.mutations.swap()
+    expect(aLog).toEqual(['1,2', '2,1'])
+  })
+
+  it('should keep running effects when one throws, and emit its error', function () {
+    const r = new Reactor({
+      state: {
+        a: 1
+      }
+    })
+    const aLog = []
+    const aErrors = []
+    r.events.on('effect:error', ({ error }) => aErrors.push(error.message))
+    r.effect(state => {
+      if (state.a > 1) {
+        throw new Error('failure')
+      }
+    })
+    r.effect(state => aLog.push(state.a))
+    expect(() => { r.state.a = 2 }).not.toThrow()
+    expect(r.state.a).toBe(2)
+    expect(aLog).toEqual([1, 2])
+    expect(aErrors).toEqual(['failure'])
+  })
+})
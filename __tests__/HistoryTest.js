@@ -0,0 +1,166 @@
+const Reactor = require('../src/Reactor')
+
+function createStore (history = true) {
+  return new Reactor({
+    state: {
+      title: 'untitled',
+      shapes: [],
+      layers: {},
+      selection: new Set(),
+      colors: new Map()
+    },
+    getters: {
+      shapeCount: state => state.shapes.length,
+      layerNames: state => Object.keys(state.layers).sort().join(','),
+      selectionSize: state => state.selection.size
+    },
+    mutations: {
+      setTitle: ({ title }, { state }) => {
+        state.title = title
+      },
+      addShape: ({ shape }, { state }) => {
+        state.shapes.push(shape)
+      },
+      removeFirstShape: (payload, { state }) => {
+        state.shapes.shift()
+      },
+      clearShapes: (payload, { state }) => {
+        state.shapes.length = 0
+      },
+      moveShape: ({ index, x }, { state }) => {
+        state.shapes[index].x = x
+      },
+      addLayer: ({ name }, { state }) => {
+        state.layers[name] = { visible: true }
+      },
+      removeLayer: ({ name }, { state }) => {
+        delete state.layers[name]
+      },
+      select: ({ id }, { state }) => {
+        state.selection.add(id)
+      },
+      setColor: ({ id, color }, { state }) => {
+        state.colors.set(id, color)
+      }
+    },
+    config: {
+      history
+    }
+  })
+}
+
+describe('history', function () {
+  it('should be disabled by default', function () {
+    const r = new Reactor({ state: {} })
+    expect(r.history).toBeNull()
+  })
+
+  it('should undo and redo property changes', function () {
+    const r = createStore()
+    expect(r.history.canUndo).toBe(false)
+    r.mutations.setTitle({ title: 'drawing 1' })
+    r.mutations.setTitle({ title: 'drawing 2' })
+    expect(r.history.canUndo).toBe(true)
+    expect(r.history.undo()).toBe(true)
+    expect(r.state.title).toBe('drawing 1')
+    expect(r.history.canRedo).toBe(true)
+    r.history.undo()
+    expect(r.state.title).toBe('untitled')
+    expect(r.history.undo()).toBe(false)
+    r.history.redo()
+    r.history.redo()
+    expect(r.state.title).toBe('drawing 2')
+    expect(r.history.redo()).toBe(false)
+  })
+
+  it('should undo array changes and invalidate getters', function () {
+    const r = createStore()
+    r.mutations.addShape({ shape: { type: 'circle', x: 0 } })
+    r.mutations.addShape({ shape: { type: 'square', x: 10 } })
+    r.mutations.moveShape({ index: 1, x: 50 })
+    r.mutations.removeFirstShape()
+    expect(r.getters.shapeCount).toBe(1)
+    r.history.undo()
+    expect(r.getters.shapeCount).toBe(2)
+    expect(r.state.shapes.map(s => s.type)).toEqual(['circle', 'square'])
+    r.history.undo()
+    expect(r.state.shapes[1].x).toBe(10)
+    r.history.undo()
+    expect(r.getters.shapeCount).toBe(1)
+    expect(r.state.shapes).toEqual([{ type: 'circle', x: 0 }])
+    r.history.redo()
+    r.history.redo()
+    r.history.redo()
+    expect(r.state.shapes).toEqual([{ type: 'square', x: 50 }])
+  })
+
+  it('should undo array truncation', function () {
+    const r = createStore()
+    r.mutations.addShape({ shape: 'a' })
+    r.mutations.addShape({ shape: 'b' })
+    r.mutations.clearShapes()
+    expect(r.getters.shapeCount).toBe(0)
+    r.history.undo()
+    expect(r.getters.shapeCount).toBe(2)
+    expect(r.state.shapes).toEqual(['a', 'b'])
+  })
+
+  it('should undo added and deleted keys', function () {
+    const r = createStore()
+    r.mutations.addLayer({ name: 'background' })
+    r.mutations.addLayer({ name: 'foreground' })
+    r.mutations.removeLayer({ name: 'background' })
+    expect(r.getters.layerNames).toBe('foreground')
+    r.history.undo()
+    expect(r.getters.layerNames).toBe('background,foreground')
+    r.history.undo()
+    r.history.undo()
+    expect(r.getters.layerNames).toBe('')
+    expect(r.state.layers).toEqual({})
+  })
+
+  it('should undo Map and Set changes', function () {
+    const r = createStore()
+    r.mutations.select({ id: 's1' })
+    r.mutations.setColor({ id: 's1', color: 'red' })
+    r.mutations.setColor({ id: 's1', color: 'blue' })
+    r.history.undo()
+    expect(r.state.colors.get('s1')).toBe('red')
+    r.history.undo()
+    expect(r.state.colors.has('s1')).toBe(false)
+    r.history.undo()
+    expect(r.getters.selectionSize).toBe(0)
+  })
+
+  it('should group several mutations in one undo step', function () {
+    const r = createStore()
+    r.history.group(() => {
+      r.mutations.addShape({ shape: 'a' })
+      r.mutations.addShape({ shape: 'b' })
+      r.mutations.setTitle({ title: 'two shapes' })
+    })
+    r.history.undo()
+    expect(r.state.shapes).toEqual([])
+    expect(r.state.title).toBe('untitled')
+    expect(r.history.canUndo).toBe(false)
+  })
+
+  it('should not record state changes made outside mutations', function () {
+    const r = createStore()
+    r.state.title = 'direct'
+    expect(r.history.canUndo).toBe(false)
+  })
+
+  it('should forget redo steps after a new mutation, and respect limit', function () {
+    const r = createStore({ limit: 2 })
+    r.mutations.setTitle({ title: 't1' })
+    r.mutations.setTitle({ title: 't2' })
+    r.mutations.setTitle({ title: 't3' })
+    r.history.undo()
+    r.history.undo()
+    expect(r.history.undo()).toBe(false)
+    expect(r.state.title).toBe('t1')
+    r.mutations.setTitle({ title: 't4' })
+    expect(r.history.canRedo).toBe(false)
+  })
+})
@@ -0,0 +1,128 @@
+const Reactor = require('../src/Reactor')
+const { toDot } = require('../src/dot')
+
+function createStore () {
+  return new Reactor({
+    state: {
+      a: 1,
+      b: 2,
+      hero: {
+        name: 'conan',
+        inventory: ['sword', 'shield']
+      },
+      scores: new Map([['conan', 10]])
+    },
+    getters: {
+      sum: state => state.a + state.b,
+      double: (state, getters) => getters.sum * 2,
+      itemCount: state => state.hero.inventory.length,
+      keys: state => Object.keys(state.hero),
+      score: state => name => state.scores.get(name)
+    }
+  })
+}
+
+function nextTick () {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+/**
+ * Weak references are kept alive until the end of the current job : gc must run on a later tick.
+ * global.gc is given by node --expose-gc (see the test script)
+ */
+async function collectGarbage () {
+  await nextTick()
+  global.gc()
+  await nextTick()
+}
+
+describe('inspect', function () {
+  it('should describe getters not computed yet', function () {
+    const r = createStore()
+    expect(r.inspect().sum).toEqual({
+      name: 'sum',
+      dependencies: [],
+      getters: [],
+      invalidCache: true,
+      computedAt: null,
+      entries: []
+    })
+  })
+
+  it('should list dependencies as state paths', function () {
+    const r = createStore()
+    const t = Date.now()
+    expect(r.getters.sum).toBe(3)
+    expect(r.getters.itemCount).toBe(2)
+    expect(r.getters.keys).toEqual(['name', 'inventory'])
+    const oGraph = r.inspect()
+    expect(oGraph.sum.dependencies).toEqual(['a', 'b'])
+    expect(oGraph.sum.invalidCache).toBe(false)
+    expect(oGraph.sum.computedAt).toBeGreaterThanOrEqual(t)
+    expect(oGraph.itemCount.dependencies).toEqual(['hero', 'hero.inventory', 'hero.inventory.length'])
+    expect(oGraph.keys.dependencies).toEqual(['hero', 'hero.*'])
+  })
+
+  it('should list getter to getter edges', function () {
+    const r = createStore()
+    expect(r.getters.double).toBe(6)
+    const oGraph = r.inspect()
+    expect(oGraph.double.getters).toEqual(['sum'])
+    // state read by sum, while being computed for double, is also a dependency of double
+    expect(oGraph.double.dependencies).toEqual(['a', 'b'])
+    r.state.a = 10
+    expect(r.inspect().double.invalidCache).toBe(true)
+    expect(r.inspect().sum.invalidCache).toBe(true)
+  })
+
+  it('should describe parameterised getter entries', function () {
+    const r = createStore()
+    expect(r.getters.score('conan')).toBe(10)
+    const [oEntry] = r.inspect().score.entries
+    expect(oEntry.args).toEqual(['conan'])
+    expect(oEntry.dependencies).toEqual(['scores', 'scores.conan'])
+    expect(oEntry.invalidCache).toBe(false)
+  })
+
+  it('should not keep object arguments of parameterised getters alive', async function () {
+    const r = new Reactor({
+      state: {},
+      getters: {
+        nameOf: state => oHero => oHero.name
+      }
+    })
+    let oHero = { name: 'valeria' }
+    const ref = new WeakRef(oHero)
+    expect(r.getters.nameOf(oHero)).toBe('valeria')
+    expect(r.inspect().nameOf.entries[0].args).toEqual([oHero])
+    oHero = null
+    await collectGarbage()
+    expect(ref.deref()).toBeUndefined()
+    expect(r.inspect().nameOf.entries[0].args).toEqual([undefined])
+  })
+})
+
+describe('toDot', function () {
+  it('should be given by the entry point', function () {
+    expect(require('..').toDot).toBe(toDot)
+  })
+
+  it('should render the dependency graph in DOT language', function () {
+    const r = createStore()
+    expect(r.getters.double).toBe(6)
+    expect(toDot(r.inspect())).toBe([
+      'digraph "reactor" {',
+      '  "getter:sum" [shape=box, label="sum"];',
+      '  "state:a" [shape=ellipse, label="a"];',
+      '  "state:b" [shape=ellipse, label="b"];',
+      '  "getter:double" [shape=box, label="double"];',
+      '  "getter:itemCount" [shape=box, label="itemCount", style=dashed];',
+      '  "getter:keys" [shape=box, label="keys", style=dashed];',
+      '  "getter:score" [shape=box, label="score", style=dashed];',
+      '  "state:a" -> "getter:sum";',
+      '  "state:b" -> "getter:sum";',
+      '  "getter:sum" -> "getter:double";',
+      '}'
+    ].join('\n'))
+  })
+})
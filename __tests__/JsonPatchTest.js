@@ -0,0 +1,231 @@
+const Reactor = require('../src/Reactor')
+const { formatPointer, parsePointer } = require('../src/json-patch')
+
+function createStore () {
+  return new Reactor({
+    state: {
+      hero: {
+        name: 'conan',
+        inventory: ['sword', 'shield']
+      },
+      'a/b': {
+        'c~d': 1
+      },
+      scores: new Map([['conan', 10]])
+    },
+    getters: {
+      itemCount: state => state.hero.inventory.length,
+      heroName: state => state.hero.name
+    },
+    mutations: {
+      rename: ({ name }, { state }) => {
+        state.hero.name = name
+      },
+      addItem: ({ item }, { state }) => {
+        state.hero.inventory.push(item)
+      },
+      dropFirstItem: (payload, { state }) => {
+        state.hero.inventory.shift()
+      },
+      setLevel: ({ level }, { state }) => {
+        state.hero.level = level
+      }
+    }
+  })
+}
+
+describe('json pointers', function () {
+  it('should escape and unescape pointer items', function () {
+    expect(formatPointer(['a/b', 'c~d', 0])).toBe('/a~1b/c~0d/0')
+    expect(parsePointer('/a~1b/c~0d/0')).toEqual(['a/b', 'c~d', '0'])
+    expect(parsePointer('')).toEqual([])
+    expect(() => parsePointer('a')).toThrow(new Error('"a" is not a valid JSON pointer.'))
+  })
+})
+
+describe('recordPatch', function () {
+  it('should record a patch of mutations', function () {
+    const r = createStore()
+    const aPatch = r.recordPatch(() => {
+      r.mutations.rename({ name: 'red sonja' })
+      r.mutations.addItem({ item: 'axe' })
+      r.mutations.setLevel({ level: 2 })
+    })
+    expect(aPatch).toEqual([
+      { op: 'replace', path: '/hero/name', value: 'red sonja' },
+      { op: 'add', path: '/hero/inventory/2', value: 'axe' },
+      { op: 'add', path: '/hero/level', value: 2 }
+    ])
+  })
+
+  it('should record values as plain copies at time of change', function () {
+    const r = createStore()
+    const aPatch = r.recordPatch(() => {
+      r.state.hero.bag = []
+      r.state.hero.bag.push('apple')
+    })
+    expect(aPatch).toEqual([
+      { op: 'add', path: '/hero/bag', value: [] },
+      { op: 'add', path: '/hero/bag/0', value: 'apple' }
+    ])
+    expect(r.isReactive(aPatch[0].value)).toBe(false)
+  })
+
+  it('should escape keys and record removals', function () {
+    const r = createStore()
+    const aPatch = r.recordPatch(() => {
+      delete r.state['a/b']['c~d']
+      r.state.scores.set('valeria', 5)
+    })
+    expect(aPatch).toEqual([
+      { op: 'remove', path: '/a~1b/c~0d' },
+      { op: 'add', path: '/scores/valeria', value: 5 }
+    ])
+  })
+
+  it('should not record changes reverted by a failed mutation', function () {
+    const r = createStore()
+    r.defineMutation('fail', (payload, { state }) => {
+      state.hero.name = 'nobody'
+      throw new Error('failure')
+    })
+    const aPatch = r.recordPatch(() => {
+      r.mutations.rename({ name: 'valeria' })
+      expect(() => r.mutations.fail()).toThrow()
+    })
+    expect(aPatch).toEqual([
+      { op: 'replace', path: '/hero/name', value: 'valeria' }
+    ])
+  })
+
+  it('should produce a patch leading to the same state when applied', function () {
+    const r1 = createStore()
+    const r2 = createStore()
+    const aPatch = r1.recordPatch(() => {
+      r1.mutations.dropFirstItem()
+      r1.mutations.addItem({ item: 'axe' })
+      r1.state.hero.inventory.unshift('dagger')
+      r1.state.hero.inventory.length = 2
+    })
+    r2.applyPatch(JSON.parse(JSON.stringify(aPatch)))
+    expect(r2.snapshot().hero).toEqual(r1.snapshot().hero)
+    expect(r2.state.hero.inventory).toEqual(['dagger', 'shield'])
+  })
+
+  it('should record changes of a moved object at its current path', function () {
+    const r1 = new Reactor({ state: { x: { v: 1 }, y: null } })
+    const r2 = new Reactor({ state: { x: { v: 1 }, y: null } })
+    const aPatch = r1.recordPatch(() => {
+      r1.state.y = r1.state.x
+      r1.state.y = null
+      r1.state.x.v = 2
+    })
+    expect(aPatch[aPatch.length - 1]).toEqual({ op: 'replace', path: '/x/v', value: 2 })
+    r2.applyPatch(JSON.parse(JSON.stringify(aPatch)))
+    expect(r2.snapshot()).toEqual(r1.snapshot())
+  })
+
+  it('should record changes of a shared object at each of its paths', function () {
+    function createSource () {
+      const hero = { name: 'conan', hp: 10 }
+      return { party: [{ name: 'valeria', hp: 8 }, hero], selection: [hero] }
+    }
+    const r1 = new Reactor({ state: createSource() })
+    // once serialized, the shared object is copied
+    const r2 = new Reactor({ state: JSON.parse(JSON.stringify(createSource())) })
+    const aPatch = r1.recordPatch(() => {
+      r1.state.selection[0].hp = 5
+      r1.state.party.shift()
+      r1.state.party[0].name = 'red sonja'
+    })
+    r2.applyPatch(JSON.parse(JSON.stringify(aPatch)))
+    expect(r2.snapshot()).toEqual(r1.snapshot())
+    expect(r2.state.selection[0]).toEqual({ name: 'red sonja', hp: 5 })
+  })
+
+  it('should record changes of an object held by a Set as a replace of the Set', function () {
+    const createSource = () => ({ tags: new Set([{ x: 1, deep: { y: 1 } }]) })
+    const r1 = new Reactor({ state: createSource() })
+    const r2 = new Reactor({ state: createSource() })
+    const aPatch = r1.recordPatch(() => {
+      const item = [...r1.state.tags][0]
+      item.x = 2
+      item.deep.y = 3
+    })
+    expect(aPatch.map(({ op, path }) => [op, path])).toEqual([['replace', '/tags'], ['replace', '/tags']])
+    r2.applyPatch(aPatch)
+    expect(r2.snapshot()).toEqual(r1.snapshot())
+    expect([...r2.state.tags][0]).toEqual({ x: 2, deep: { y: 3 } })
+  })
+})
+
+describe('applyPatch', function () {
+  it('should apply all kinds of operations and invalidate getters', function () {
+    const r = createStore()
+    expect(r.getters.itemCount).toBe(2)
+    expect(r.getters.heroName).toBe('conan')
+    r.applyPatch([
+      { op: 'test', path: '/hero/name', value: 'conan' },
+      { op: 'add', path: '/hero/inventory/1', value: 'dagger' },
+      { op: 'add', path: '/hero/inventory/-', value: 'axe' },
+      { op: 'replace', path: '/hero/name', value: 'red sonja' },
+      { op: 'remove', path: '/hero/inventory/0' },
+      { op: 'copy', from: '/hero/inventory', path: '/hero/chest' },
+      { op: 'move', from: '/a~1b/c~0d', path: '/hero/level' },
+      { op: 'replace', path: '/scores/conan', value: 11 }
+    ])
+    expect(r.state.hero.inventory).toEqual(['dagger', 'shield', 'axe'])
+    expect(r.state.hero.chest).toEqual(['dagger', 'shield', 'axe'])
+    expect(r.state.hero.chest).not.toBe(r.state.hero.inventory)
+    expect(r.state.hero.level).toBe(1)
+    expect(r.state['a/b']).toEqual({})
+    expect(r.state.scores.get('conan')).toBe(11)
+    expect(r.getters.itemCount).toBe(3)
+    expect(r.getters.heroName).toBe('red sonja')
+  })
+
+  it('should run effects once', function () {
+    const r = createStore()
+    let n = 0
+    r.effect(state => {
+      ++n
+      return state.hero.inventory.length
+    })
+    r.applyPatch([
+      { op: 'add', path: '/hero/inventory/-', value: 'axe' },
+      { op: 'add', path: '/hero/inventory/-', value: 'bow' }
+    ])
+    expect(n).toBe(2)
+  })
+
+  it('should revert all operations when one fails', function () {
+    const r = createStore()
+    expect(() => r.applyPatch([
+      { op: 'replace', path: '/hero/name', value: 'red sonja' },
+      { op: 'test', path: '/hero/inventory/0', value: 'axe' }
+    ])).toThrow(new Error('Patch operation #1 : Test failed : "/hero/inventory/0" does not have the expected value.'))
+    expect(r.state.hero.name).toBe('conan')
+    expect(r.getters.heroName).toBe('conan')
+  })
+
+  it('should throw an error on invalid operations', function () {
+    const r = createStore()
+    expect(() => r.applyPatch({})).toThrow(new TypeError('Patch must be an array ; "object" was given.'))
+    expect(() => r.applyPatch([{ op: 'fly', path: '/hero' }]))
+      .toThrow(new Error('Patch operation #0 : "fly" is not a valid operation.'))
+    expect(() => r.applyPatch([{ op: 'remove', path: '/hero/xyz' }]))
+      .toThrow(new Error('Patch operation #0 : Path "/hero/xyz" does not exist.'))
+    expect(() => r.applyPatch([{ op: 'add', path: '/villain/name', value: 'thulsa doom' }]))
+      .toThrow(new Error('Patch operation #0 : Path "/villain" does not exist.'))
+    expect(() => r.applyPatch([{ op: 'add', path: '/hero/inventory/5', value: 'axe' }]))
+      .toThrow(new Error('Patch operation #0 : Path "/hero/inventory/5" is not a valid array index.'))
+    expect(() => r.applyPatch([{ op: 'move', from: '/hero', path: '/hero/self' }]))
+      .toThrow(new Error('Patch operation #0 : Cannot move "/hero" into one of its children.'))
+  })
+
+  it('should be allowed in strict mode', function () {
+    const r = new Reactor({ state: { a: 1 }, config: { strict: true } })
+    r.applyPatch([{ op: 'replace', path: '/a', value: 2 }])
+    expect(r.state.a).toBe(2)
+  })
+})
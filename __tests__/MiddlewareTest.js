@@ -0,0 +1,103 @@
+const Reactor = require('../src/Reactor')
+
+function createStore () {
+  return new Reactor({
+    state: {
+      hp: 10
+    },
+    mutations: {
+      damage: ({ amount }, { state }) => {
+        state.hp -= amount
+        return state.hp
+      }
+    }
+  })
+}
+
+describe('mutation middlewares', function () {
+  it('should run middlewares before and after mutations', function () {
+    const r = createStore()
+    const aLog = []
+    r.use((ctx, next) => {
+      aLog.push('before ' + ctx.name + ' ' + ctx.context.state.hp)
+      const result = next()
+      aLog.push('after ' + ctx.name + ' ' + result)
+      return result
+    })
+    expect(r.mutations.damage({ amount: 3 })).toBe(7)
+    expect(aLog).toEqual(['before damage 10', 'after damage 7'])
+  })
+
+  it('should run middlewares in registration order', function () {
+    const r = createStore()
+    const aLog = []
+    r.use((ctx, next) => {
+      aLog.push('a1')
+      next()
+      aLog.push('a2')
+    })
+    r.use((ctx, next) => {
+      aLog.push('b1')
+      next()
+      aLog.push('b2')
+    })
+    r.mutations.damage({ amount: 1 })
+    expect(aLog).toEqual(['a1', 'b1', 'b2', 'a2'])
+  })
+
+  it('should let middlewares transform payload', function () {
+    const r = createStore()
+    const aEvents = []
+    r.events.on('mutation', ({ payload }) => aEvents.push(payload))
+    r.use((ctx, next) => {
+      ctx.payload = { amount: Math.min(ctx.payload.amount, 2) }
+      return next()
+    })
+    r.mutations.damage({ amount: 8 })
+    expect(r.state.hp).toBe(8)
+    expect(aEvents).toEqual([{ amount: 2 }])
+  })
+
+  it('should let middlewares veto mutations', function () {
+    const r = createStore()
+    const aEvents = []
+    r.events.on('mutation', ({ name }) => aEvents.push(name))
+    r.use((ctx, next) => {
+      if (ctx.payload.amount < 0) {
+        return false
+      }
+      return next()
+    })
+    expect(r.mutations.damage({ amount: -5 })).toBe(false)
+    expect(r.state.hp).toBe(10)
+    expect(aEvents).toEqual([])
+  })
+
+  it('should stop running a middleware once unregistered', function () {
+    const r = createStore()
+    let n = 0
+    const unuse = r.use((ctx, next) => {
+      ++n
+      return next()
+    })
+    r.mutations.damage({ amount: 1 })
+    unuse()
+    r.mutations.damage({ amount: 1 })
+    expect(n).toBe(1)
+    expect(r.state.hp).toBe(8)
+  })
+
+  it('should throw when next is called twice', function () {
+    const r = createStore()
+    r.use((ctx, next) => {
+      next()
+      next()
+    })
+    expect(() => r.mutations.damage({ amount: 1 })).toThrow('Mutation "damage" : next() has been called more than once by the same middleware.')
+  })
+
+  it('should throw when middleware is not a function', function () {
+    const r = createStore()
+    expect(() => r.use({})).toThrow(new TypeError('Middleware must be a function ; "object" was given.'))
+  })
+})
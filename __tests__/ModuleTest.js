@@ -0,0 +1,118 @@
+const Reactor = require('../src/Reactor')
+
+function createStore () {
+  return new Reactor({
+    state: {
+      gold: 100
+    },
+    getters: {
+      getGold: state => state.gold,
+      count: state => 'root count'
+    },
+    mutations: {
+      spendGold: ({ amount }, { state }) => {
+        state.gold -= amount
+      }
+    },
+    modules: {
+      inventory: {
+        state: {
+          items: []
+        },
+        getters: {
+          count: state => state.items.length,
+          worth: state => state.items.reduce((prev, curr) => prev + curr.value, 0),
+          worthWithGold: (state, getters, externals, rootState) => getters.worth + rootState.gold
+        },
+        mutations: {
+          addItem: ({ item }, { state }) => {
+            state.items.push(item)
+          },
+          buyItem: ({ item }, { state, rootState }) => {
+            rootState.gold -= item.value
+            state.items.push(item)
+          }
+        },
+        actions: {
+          addItems: async ({ items }, { commit, getters }) => {
+            items.forEach(item => commit('addItem', { item }))
+            return getters.count
+          }
+        },
+        modules: {
+          bag: {
+            state: () => ({
+              slots: 4
+            }),
+            getters: {
+              capacity: (state, getters, externals, rootState, rootGetters) => state.slots * 10 + rootGetters['inventory/count']
+            },
+            mutations: {
+              enlarge: (payload, { state }) => {
+                ++state.slots
+              }
+            }
+          }
+        }
+      }
+    }
+  })
+}
+
+describe('modules', function () {
+  it('should mount module state under module name', function () {
+    const r = createStore()
+    expect(r.state.inventory.items).toEqual([])
+    expect(r.state.inventory.bag.slots).toBe(4)
+    expect(r.state.gold).toBe(100)
+  })
+
+  it('should expose namespaced getters without colliding with root getters', function () {
+    const r = createStore()
+    expect(r.getters.count).toBe('root count')
+    expect(r.getters['inventory/count']).toBe(0)
+    r.mutations['inventory/addItem']({ item: { name: 'sword', value: 15 } })
+    expect(r.getters['inventory/count']).toBe(1)
+    expect(r.getters['inventory/worth']).toBe(15)
+  })
+
+  it('should give module getters access to root state and getters', function () {
+    const r = createStore()
+    expect(r.getters['inventory/worthWithGold']).toBe(100)
+    r.mutations['inventory/buyItem']({ item: { name: 'axe', value: 30 } })
+    expect(r.getters['inventory/worthWithGold']).toBe(100)
+    expect(r.getters.getGold).toBe(70)
+    r.mutations.spendGold({ amount: 20 })
+    expect(r.getters['inventory/worthWithGold']).toBe(80)
+  })
+
+  it('should register nested modules', function () {
+    const r = createStore()
+    expect(r.getters['inventory/bag/capacity']).toBe(40)
+    r.mutations['inventory/bag/enlarge']()
+    r.commit('inventory/addItem', { item: { name: 'rope', value: 1 } })
+    expect(r.getters['inventory/bag/capacity']).toBe(51)
+  })
+
+  it('should commit module mutations locally from module actions', async function () {
+    const r = createStore()
+    const aLog = []
+    r.events.on('mutation', ({ name }) => aLog.push(name))
+    const n = await r.dispatch('inventory/addItems', { items: [{ value: 1 }, { value: 2 }] })
+    expect(n).toBe(2)
+    expect(aLog).toEqual(['inventory/addItem', 'inventory/addItem'])
+  })
+
+  it('should throw when a module collides with a state property', function () {
+    expect(() => new Reactor({
+      state: {
+        inventory: []
+      },
+      modules: {
+        inventory: {
+          state: {}
+        }
+      }
+    })).toThrow(new Error('Cannot mount module "inventory" : state already has a property "inventory".'))
+  })
+})
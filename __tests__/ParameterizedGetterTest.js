@@ -0,0 +1,97 @@
+const Reactor = require('../src/Reactor')
+
+function createStore (config = {}) {
+  const oCounters = {}
+  const r = new Reactor({
+    state: {
+      items: [
+        { id: 1, name: 'sword', weight: 6 },
+        { id: 2, name: 'shield', weight: 15 },
+        { id: 3, name: 'dagger', weight: 1 }
+      ]
+    },
+    getters: {
+      itemById: state => id => {
+        oCounters[id] = (oCounters[id] || 0) + 1
+        return state.items.find(item => item.id === id)
+      },
+      heavierThan: state => (weight, exclude = null) => state.items
+        .filter(item => item.weight > weight && item !== exclude)
+        .map(item => item.name),
+      swordName: (state, getters) => getters.itemById(1).name
+    },
+    config
+  })
+  return { r, oCounters }
+}
+
+describe('parameterised getters', function () {
+  it('should cache results per argument', function () {
+    const { r, oCounters } = createStore()
+    expect(r.getters.itemById(1).name).toBe('sword')
+    expect(r.getters.itemById(1).name).toBe('sword')
+    expect(r.getters.itemById(2).name).toBe('shield')
+    expect(r.getters.itemById(2).name).toBe('shield')
+    expect(oCounters).toEqual({ 1: 1, 2: 1 })
+  })
+
+  it('should only recompute entries whose dependencies changed', function () {
+    const { r, oCounters } = createStore()
+    r.getters.itemById(1)
+    r.getters.itemById(3)
+    r.state.items[2].weight = 2 // item 3 is read while searching for 3, not for 1
+    r.getters.itemById(1)
+    r.getters.itemById(3)
+    expect(oCounters).toEqual({ 1: 1, 3: 1 })
+    r.state.items[0] = { id: 1, name: 'long sword', weight: 8 }
+    expect(r.getters.itemById(1).name).toBe('long sword')
+    expect(r.getters.itemById(3).name).toBe('dagger')
+    expect(oCounters).toEqual({ 1: 2, 3: 2 })
+  })
+
+  it('should distinguish argument tuples and object arguments', function () {
+    const { r } = createStore()
+    const oShield = r.state.items[1]
+    expect(r.getters.heavierThan(5)).toEqual(['sword', 'shield'])
+    expect(r.getters.heavierThan(5, oShield)).toEqual(['sword'])
+    expect(r.getters.heavierThan('5')).toEqual(['sword', 'shield'])
+    r.state.items.push({ id: 4, name: 'hammer', weight: 10 })
+    expect(r.getters.heavierThan(5, oShield)).toEqual(['sword', 'hammer'])
+  })
+
+  it('should identify symbol arguments', function () {
+    const r = new Reactor({
+      state: {},
+      getters: {
+        describe: () => sym => String(sym)
+      }
+    })
+    const s1 = Symbol('a')
+    const s2 = Symbol('a')
+    expect(r.getters.describe(s1)).toBe('Symbol(a)')
+    expect(r.getters.describe(s2)).toBe('Symbol(a)')
+    expect(r.getters.describe(Symbol.for('a'))).toBe('Symbol(a)')
+    expect(r._getterData.describe._entries.size).toBe(3)
+    r.getters.describe(Symbol.for('a'))
+    r.getters.describe(s1)
+    expect(r._getterData.describe._entries.size).toBe(3)
+  })
+
+  it('should invalidate getters depending on a parameterised getter', function () {
+    const { r } = createStore()
+    expect(r.getters.swordName).toBe('sword')
+    r.state.items[0].name = 'excalibur'
+    expect(r.getters.swordName).toBe('excalibur')
+  })
+
+  it('should drop least recently used entries when cache is full', function () {
+    const { r, oCounters } = createStore({ getterCacheSize: 2 })
+    r.getters.itemById(1)
+    r.getters.itemById(2)
+    r.getters.itemById(1)
+    r.getters.itemById(3) // entry for 2 is dropped
+    r.getters.itemById(1)
+    r.getters.itemById(2)
+    expect(oCounters).toEqual({ 1: 1, 2: 2, 3: 1 })
+  })
+})
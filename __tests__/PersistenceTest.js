@@ -0,0 +1,254 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Reactor = require('../src/Reactor')
+const { MemoryAdapter, FileSystemAdapter } = require('../src/persistence')
+
+function createStore (persistence, config = {}) {
+  return new Reactor({
+    state: {
+      gold: 0,
+      hero: {
+        name: 'conan',
+        inventory: []
+      }
+    },
+    getters: {
+      itemCount: state => state.hero.inventory.length
+    },
+    mutations: {
+      earn: ({ value }, { state }) => {
+        state.gold += value
+      },
+      addItem: ({ item }, { state }) => {
+        state.hero.inventory.push(item)
+      }
+    },
+    config: {
+      ...config,
+      persistence
+    }
+  })
+}
+
+function wait (n) {
+  return new Promise(resolve => setTimeout(resolve, n))
+}
+
+function createCountingAdapter (data) {
+  const adapter = new MemoryAdapter(data)
+  adapter.saveCount = 0
+  const pSave = adapter.save.bind(adapter)
+  adapter.save = (key, value) => {
+    ++adapter.saveCount
+    return pSave(key, value)
+  }
+  return adapter
+}
+
+describe('entry point', function () {
+  it('should give persistence classes', function () {
+    const Store = require('..')
+    expect(Store).toBe(Reactor)
+    expect(Store.MemoryAdapter).toBe(MemoryAdapter)
+    expect(Store.FileSystemAdapter).toBe(FileSystemAdapter)
+    expect(Store.Persistence).toBe(require('../src/persistence/Persistence'))
+  })
+})
+
+describe('MemoryAdapter', function () {
+  it('should load null when nothing has been saved', async function () {
+    const adapter = new MemoryAdapter()
+    expect(await adapter.load('state')).toBeNull()
+    await adapter.save('state', { a: 1 })
+    expect(await adapter.load('state')).toEqual({ a: 1 })
+  })
+})
+
+describe('FileSystemAdapter', function () {
+  it('should save and load json files', async function () {
+    const sDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'reactor-persistence-'))
+    try {
+      const adapter = new FileSystemAdapter({ directory: path.join(sDirectory, 'saves') })
+      expect(await adapter.load('game/1')).toBeNull()
+      await adapter.save('game/1', { gold: 10 })
+      expect(fs.readdirSync(path.join(sDirectory, 'saves'))).toEqual(['game%2F1.json'])
+      expect(await adapter.load('game/1')).toEqual({ gold: 10 })
+    } finally {
+      fs.rmSync(sDirectory, { recursive: true, force: true })
+    }
+  })
+
+  it('should throw an error when directory is not specified', function () {
+    expect(() => new FileSystemAdapter({})).toThrow(new TypeError('FileSystemAdapter directory must be a string ; "undefined" was given.'))
+  })
+})
+
+describe('persistence', function () {
+  it('should restore state at construction', async function () {
+    const adapter = new MemoryAdapter({ state: { gold: 50, hero: { name: 'valeria', inventory: ['sword'] } } })
+    const r = createStore({ adapter })
+    expect(await r.ready).toBe(r)
+    expect(r.state.gold).toBe(50)
+    expect(r.getters.itemCount).toBe(1)
+  })
+
+  it('should save state after each mutation', async function () {
+    const adapter = new MemoryAdapter()
+    const r = await createStore({ adapter }).ready
+    r.mutations.earn({ value: 10 })
+    await r.persistence.flush()
+    expect(await adapter.load('state')).toEqual({ gold: 10, hero: { name: 'conan', inventory: [] } })
+  })
+
+  it('should only save and restore selected paths', async function () {
+    const adapter = new MemoryAdapter({ game: { 'hero.inventory': ['axe'], gold: 5 } })
+    const r = await createStore({ adapter, key: 'game', paths: ['hero.inventory'] }).ready
+    expect(r.state.hero.inventory).toEqual(['axe'])
+    expect(r.state.gold).toBe(0)
+    r.mutations.addItem({ item: 'shield' })
+    await r.persistence.flush()
+    expect(await adapter.load('game')).toEqual({ 'hero.inventory': ['axe', 'shield'] })
+  })
+
+  it('should debounce saves', async function () {
+    const adapter = createCountingAdapter()
+    const r = await createStore({ adapter, debounce: 50 }).ready
+    r.mutations.earn({ value: 1 })
+    await wait(10)
+    r.mutations.earn({ value: 1 })
+    await wait(10)
+    r.mutations.earn({ value: 1 })
+    expect(adapter.saveCount).toBe(0)
+    await wait(100)
+    expect(adapter.saveCount).toBe(1)
+    expect((await adapter.load('state')).gold).toBe(3)
+  })
+
+  it('should throttle saves', async function () {
+    const adapter = createCountingAdapter()
+    const r = await createStore({ adapter, throttle: 60 }).ready
+    r.mutations.earn({ value: 1 })
+    await wait(10)
+    expect(adapter.saveCount).toBe(1)
+    r.mutations.earn({ value: 1 })
+    r.mutations.earn({ value: 1 })
+    await wait(10)
+    expect(adapter.saveCount).toBe(1)
+    await wait(100)
+    expect(adapter.saveCount).toBe(2)
+    expect((await adapter.load('state')).gold).toBe(3)
+  })
+
+  it('should save pending changes when flushed', async function () {
+    const adapter = createCountingAdapter()
+    const r = await createStore({ adapter, debounce: 10000 }).ready
+    r.mutations.earn({ value: 7 })
+    await r.persistence.flush()
+    expect(adapter.saveCount).toBe(1)
+    expect((await adapter.load('state')).gold).toBe(7)
+    r.persistence.stop()
+  })
+
+  it('should not save anymore once stopped', async function () {
+    const adapter = createCountingAdapter()
+    const r = await createStore({ adapter, debounce: 10 }).ready
+    r.mutations.earn({ value: 7 })
+    r.persistence.stop()
+    await wait(30)
+    r.mutations.earn({ value: 7 })
+    await wait(30)
+    expect(adapter.saveCount).toBe(0)
+  })
+
+  it('should emit an event when an autosave fails', async function () {
+    const adapter = {
+      load: async () => null,
+      save: async () => {
+        throw new Error('disk full')
+      }
+    }
+    const r = await createStore({ adapter }).ready
+    const aErrors = []
+    r.events.on('persistence:error', ({ key, error }) => aErrors.push([key, error.message]))
+    r.mutations.earn({ value: 1 })
+    await wait(10)
+    expect(aErrors).toEqual([['state', 'disk full']])
+  })
+
+  it('should save state after any change', async function () {
+    const adapter = createCountingAdapter()
+    const r = await createStore({ adapter }, { history: true }).ready
+    r.mutations.addItem({ item: 'sword' })
+    await r.persistence.flush()
+    expect(adapter.saveCount).toBe(1)
+    r.history.undo()
+    await r.persistence.flush()
+    expect((await adapter.load('state')).hero.inventory).toEqual([])
+    r.applyPatch([{ op: 'replace', path: '/gold', value: 20 }])
+    await r.persistence.flush()
+    expect((await adapter.load('state')).gold).toBe(20)
+    r.replaceState({ gold: 30, hero: { name: 'valeria', inventory: [] } })
+    await r.persistence.flush()
+    expect((await adapter.load('state')).hero.name).toBe('valeria')
+    r.state.hero.name = 'red sonja'
+    await r.persistence.flush()
+    expect((await adapter.load('state')).hero.name).toBe('red sonja')
+    expect(adapter.saveCount).toBe(5)
+  })
+
+  it('should save once for all changes made at the same time', async function () {
+    const adapter = createCountingAdapter()
+    const r = await createStore({ adapter }).ready
+    for (let i = 0; i < 100; ++i) {
+      r.mutations.addItem({ item: 'arrow' })
+    }
+    expect(adapter.saveCount).toBe(0)
+    await r.persistence.flush()
+    expect(adapter.saveCount).toBe(1)
+    expect((await adapter.load('state')).hero.inventory.length).toBe(100)
+    await r.persistence.flush()
+    expect(adapter.saveCount).toBe(1)
+  })
+
+  it('should save selected paths when they change', async function () {
+    const adapter = createCountingAdapter()
+    const r = await createStore({ adapter, paths: ['hero.inventory'] }).ready
+    r.mutations.earn({ value: 10 })
+    await r.persistence.flush()
+    expect(adapter.saveCount).toBe(0)
+    r.state.hero.inventory.push('axe')
+    await r.persistence.flush()
+    expect(await adapter.load('state')).toEqual({ 'hero.inventory': ['axe'] })
+  })
+
+  it('should throw an error on mutations run before state is restored', async function () {
+    const adapter = new MemoryAdapter({ state: { gold: 50, hero: { name: 'valeria', inventory: [] } } })
+    const r = createStore({ adapter })
+    expect(() => r.mutations.earn({ value: 10 }))
+      .toThrow(new Error('Cannot run mutation "earn" before state is restored : wait for reactor.ready.'))
+    await r.ready
+    r.mutations.earn({ value: 10 })
+    expect(r.state.gold).toBe(60)
+  })
+
+  it('should emit an event and reject ready when restore fails', async function () {
+    const adapter = createCountingAdapter()
+    adapter.load = async () => {
+      throw new Error('corrupted save')
+    }
+    const r = createStore({ adapter })
+    const aErrors = []
+    r.events.on('persistence:error', ({ key, error }) => aErrors.push([key, error.message]))
+    await expect(r.ready).rejects.toThrow('corrupted save')
+    expect(aErrors).toEqual([['state', 'corrupted save']])
+    // saved data is not overwritten
+    r.mutations.earn({ value: 1 })
+    await r.persistence.flush()
+    expect(adapter.saveCount).toBe(0)
+  })
+
+  it('should throw an error when adapter is invalid', function () {
+    expect(() => createStore({ adapter: {} })).toThrow(new TypeError('Persistence adapter must have "load" and "save" methods.'))
+  })
+})
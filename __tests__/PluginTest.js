@@ -0,0 +1,66 @@
+const Reactor = require('../src/Reactor')
+
+function createStore (plugins) {
+  return new Reactor({
+    state: {
+      score: 0
+    },
+    getters: {
+      getScore: state => state.score
+    },
+    mutations: {
+      addPoints: ({ points }, { state }) => {
+        state.score += points
+      }
+    },
+    plugins
+  })
+}
+
+describe('plugins', function () {
+  it('should call plugins with the reactor once everything is defined', function () {
+    const aLog = []
+    createStore([
+      reactor => aLog.push(Object.keys(reactor.mutations), reactor.getters.getScore)
+    ])
+    expect(aLog).toEqual([['addPoints'], 0])
+  })
+
+  it('should let plugins subscribe to events', function () {
+    const aLog = []
+    const logger = reactor => {
+      reactor.events.on('mutation', ({ name, payload }) => aLog.push(name + ' ' + JSON.stringify(payload)))
+    }
+    const r = createStore([logger])
+    r.mutations.addPoints({ points: 5 })
+    expect(aLog).toEqual(['addPoints {"points":5}'])
+  })
+
+  it('should let plugins define getters and mutations', function () {
+    const doubler = reactor => {
+      reactor.defineGetter('getDoubleScore', (state, getters) => getters.getScore * 2)
+      reactor.defineMutation('reset', (payload, { state }) => {
+        state.score = 0
+      })
+    }
+    const r = createStore([doubler])
+    r.mutations.addPoints({ points: 5 })
+    expect(r.getters.getDoubleScore).toBe(10)
+    r.mutations.reset()
+    expect(r.getters.getDoubleScore).toBe(0)
+  })
+
+  it('should let plugins wrap mutations', function () {
+    const capper = reactor => {
+      const addPoints = reactor.mutations.addPoints
+      reactor.mutations.addPoints = ({ points }) => addPoints({ points: Math.min(points, 10) })
+    }
+    const r = createStore([capper])
+    r.mutations.addPoints({ points: 50 })
+    expect(r.getters.getScore).toBe(10)
+  })
+
+  it('should throw when a plugin is not a function', function () {
+    expect(() => createStore([() => {}, 'logger'])).toThrow(new TypeError('Plugin #1 must be a function ; "string" was given.'))
+  })
+})
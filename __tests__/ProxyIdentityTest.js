@@ -0,0 +1,108 @@
+const Reactor = require('../src/Reactor')
+
+describe('proxy identity', function () {
+  it('should give the same proxy when the same object is stored twice', function () {
+    const r = new Reactor({
+      state: {
+        party: [],
+        selection: []
+      },
+      getters: {
+        selectedHp: state => state.selection.map(e => e.hp)
+      }
+    })
+    const hero = { name: 'conan', hp: 10 }
+    r.state.party.push(hero)
+    r.state.selection.push(hero)
+    expect(r.state.party[0]).toBe(r.state.selection[0])
+    expect(r.getters.selectedHp).toEqual([10])
+    r.state.party[0].hp = 5
+    expect(r.state.selection[0].hp).toBe(5)
+    expect(r.getters.selectedHp).toEqual([5])
+  })
+
+  it('should keep identity of objects shared in initial state', function () {
+    const shared = { value: 1 }
+    const r = new Reactor({
+      state: {
+        a: shared,
+        b: { shared },
+        list: [shared, shared]
+      }
+    })
+    expect(r.state.a).toBe(r.state.b.shared)
+    expect(r.state.list[0]).toBe(r.state.a)
+    expect(r.state.list[1]).toBe(r.state.a)
+  })
+
+  it('should keep circular references of initial state', function () {
+    const a = { name: 'a' }
+    const b = { name: 'b', a }
+    a.b = b
+    a.self = a
+    const r = new Reactor({ state: { a, list: [a] } })
+    expect(r.state.a.b.a).toBe(r.state.a)
+    expect(r.state.a.self).toBe(r.state.a)
+    expect(r.state.list[0]).toBe(r.state.a)
+    const s = r.snapshot()
+    expect(s.a.b.a).toBe(s.a)
+    expect(s.a.self).toBe(s.a)
+  })
+
+  it('should keep changes made through the proxy when the original object is stored again', function () {
+    const r = new Reactor({
+      state: {
+        list: [],
+        other: null
+      },
+      getters: {
+        firstA: state => state.list.length > 0 ? state.list[0].a : null
+      }
+    })
+    const item = { a: 1 }
+    r.state.list.push(item)
+    r.state.list[0].a = 2
+    expect(r.getters.firstA).toBe(2)
+    r.state.other = item
+    r.state.list.push(item)
+    expect(r.state.other).toBe(r.state.list[0])
+    expect(r.state.list[1]).toBe(r.state.list[0])
+    expect(r.state.list[0].a).toBe(2)
+    expect(r.getters.firstA).toBe(2)
+    expect(item.a).toBe(1)
+    // the original object is not read again : modifying it directly is not seen
+    item.a = 5
+    r.state.other = item
+    expect(r.state.other.a).toBe(2)
+  })
+
+  it('should give the same proxy when a raw object is stored again', function () {
+    const r = new Reactor({ state: { hero: { name: 'conan' }, other: null } })
+    const oRaw = r.toRaw(r.state.hero)
+    r.state.other = oRaw
+    expect(r.state.other).toBe(r.state.hero)
+  })
+})
+
+describe('toRaw and isProxy', function () {
+  it('should return the object wrapped by a proxy', function () {
+    const r = new Reactor({ state: { hero: { name: 'conan', inventory: ['sword'] } } })
+    const oRaw = r.toRaw(r.state.hero)
+    expect(r.isProxy(r.state.hero)).toBe(true)
+    expect(r.isProxy(oRaw)).toBe(false)
+    expect(oRaw.name).toBe('conan')
+    expect(r.toRaw(r.state.hero)).toBe(oRaw)
+    expect(r.toRaw(oRaw)).toBe(oRaw)
+    expect(r.toRaw(12)).toBe(12)
+    expect(r.toRaw(null)).toBe(null)
+    expect(r.isProxy(null)).toBe(false)
+    expect(r.isProxy('x')).toBe(false)
+  })
+
+  it('should not recognize proxies of another reactor', function () {
+    const r1 = new Reactor({ state: { a: { x: 1 } } })
+    const r2 = new Reactor({ state: { b: { y: 1 } } })
+    expect(r2.isProxy(r1.state.a)).toBe(false)
+    expect(r2.toRaw(r1.state.a)).toBe(r1.state.a)
+  })
+})
@@ -0,0 +1,113 @@
+const Reactor = require('../src/Reactor')
+
+class Mesh {
+  constructor (n) {
+    this.vertices = new Array(n).fill(0)
+  }
+}
+
+describe('markRaw', function () {
+  it('should never proxify raw objects', function () {
+    const mesh = Reactor.markRaw(new Mesh(3))
+    const r = new Reactor({
+      state: {
+        model: { mesh }
+      },
+      getters: {
+        vertexCount: state => state.model.mesh.vertices.length
+      }
+    })
+    expect(Reactor.isRaw(mesh)).toBe(true)
+    expect(r.state.model.mesh).toBe(mesh)
+    expect(r.isReactive(r.state.model.mesh.vertices)).toBe(false)
+    expect(r.getters.vertexCount).toBe(3)
+    // modifying raw content is not reactive
+    mesh.vertices.push(0)
+    expect(r.getters.vertexCount).toBe(3)
+    // replacing the raw object is reactive
+    const mesh2 = Reactor.markRaw(new Mesh(10))
+    r.state.model.mesh = mesh2
+    expect(r.state.model.mesh).toBe(mesh2)
+    expect(r.getters.vertexCount).toBe(10)
+  })
+
+  it('should not proxify raw objects stored in arrays, maps and sets', function () {
+    const table = Reactor.markRaw({ a: 1 })
+    const r = new Reactor({
+      state: {
+        list: [],
+        map: new Map(),
+        set: new Set()
+      }
+    })
+    r.state.list.push(table)
+    r.state.map.set('t', table)
+    r.state.set.add(table)
+    expect(r.state.list[0]).toBe(table)
+    expect(r.state.map.get('t')).toBe(table)
+    expect(r.state.set.has(table)).toBe(true)
+    expect(Reactor.isRaw({})).toBe(false)
+    expect(Reactor.isRaw(null)).toBe(false)
+  })
+})
+
+describe('shallow paths', function () {
+  function createStore () {
+    return new Reactor({
+      state: {
+        lookup: { a: { value: 1 } },
+        entities: [
+          { name: 'e1', blob: { size: 1 } },
+          { name: 'e2', blob: { size: 2 } }
+        ],
+        other: { a: { value: 1 } }
+      },
+      getters: {
+        lookupValue: state => state.lookup.a.value,
+        blobSize: state => state.entities[0].blob.size,
+        otherValue: state => state.other.a.value
+      },
+      config: {
+        shallowPaths: ['lookup', 'entities.*.blob']
+      }
+    })
+  }
+
+  it('should not proxify values stored under shallow paths', function () {
+    const r = createStore()
+    expect(r.isReactive(r.state.lookup)).toBe(false)
+    expect(r.isReactive(r.state.entities[1].blob)).toBe(false)
+    expect(r.isReactive(r.state.entities[1])).toBe(true)
+    expect(r.isReactive(r.state.other.a)).toBe(true)
+  })
+
+  it('should only track the assignment of shallow paths', function () {
+    const r = createStore()
+    expect(r.getters.lookupValue).toBe(1)
+    expect(r.getters.blobSize).toBe(1)
+    expect(r.getters.otherValue).toBe(1)
+    r.state.lookup.a.value = 2
+    r.state.entities[0].blob.size = 2
+    r.state.other.a.value = 2
+    expect(r.getters.lookupValue).toBe(1)
+    expect(r.getters.blobSize).toBe(1)
+    expect(r.getters.otherValue).toBe(2)
+    r.state.lookup = { a: { value: 3 } }
+    r.state.entities[0].blob = { size: 3 }
+    expect(r.getters.lookupValue).toBe(3)
+    expect(r.getters.blobSize).toBe(3)
+    expect(r.isReactive(r.state.lookup)).toBe(false)
+  })
+
+  it('should apply shallow paths to values added later', function () {
+    const r = createStore()
+    r.state.entities.push({ name: 'e3', blob: { size: 3 } })
+    expect(r.isReactive(r.state.entities[2])).toBe(true)
+    expect(r.isReactive(r.state.entities[2].blob)).toBe(false)
+  })
+
+  it('should throw an error when shallow paths is not an array', function () {
+    expect(() => new Reactor({ state: {}, config: { shallowPaths: 'lookup' } }))
+      .toThrow(new TypeError('Shallow paths must be an array ; "string" was given.'))
+  })
+})
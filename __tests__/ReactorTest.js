@@ -261,12 +261,44 @@ describe('Reactor', function () {
 		expect(r.getters.hasNeutralProperty).toBeTruthy()
 		expect(() => {
       delete r.state.x.neutral
-    }).toThrow() // cannot delete property
-    expect(r.getters.hasNeutralProperty).toBeTruthy()
+    }).not.toThrow()
+    expect(r.getters.hasNeutralProperty).toBeFalsy()
 		r.state.x.neutral = true
 		expect(r.getters.hasNeutralProperty).toBeTruthy()
 	})
 
+  it('should invalidate getters when deleting keys', function () {
+    const r = new Reactor({
+      state: {
+        registry: {
+          e1: { id: 'e1', alive: true },
+          e2: { id: 'e2', alive: true },
+          e3: { id: 'e3', alive: false }
+        }
+      },
+      getters: {
+        getAliveIds: state => Object.values(state.registry).filter(e => e.alive).map(e => e.id),
+        getKeyCount: state => Object.keys(state.registry).length,
+        getE1: state => state.registry.e1
+      },
+      mutations: {
+        removeEntity: ({ id }, { state }) => {
+          delete state.registry[id]
+        }
+      }
+    })
+    expect(r.getters.getAliveIds).toEqual(['e1', 'e2'])
+    expect(r.getters.getKeyCount).toBe(3)
+    expect(r.getters.getE1.id).toBe('e1')
+    r.mutations.removeEntity({ id: 'e2' })
+    expect(r.getters.getAliveIds).toEqual(['e1'])
+    expect(r.getters.getKeyCount).toBe(2)
+    r.mutations.removeEntity({ id: 'e1' })
+    expect(r.getters.getE1).toBeUndefined()
+    expect(r.getters.getAliveIds).toEqual([])
+    expect(r.state.registry).toEqual({ e3: { id: 'e3', alive: false } })
+  })
+
 	it('deals with a slightly more complex state', function () {
 		const state = {
 			equip: {
@@ -468,7 +500,8 @@ describe('Reactor', function () {
 		const r = new Reactor(store)
 		const i1 = r.getters.bp.i1
     expect(r.isReactive(i1)).toBeTruthy()
-		expect(r.isReactive(store.state.b.i1)).toBeTruthy()
+		// the original object is left untouched : it is not reactive
+		expect(r.isReactive(store.state.b.i1)).toBeFalsy()
 		expect(r.isReactive(r.state.b.i1)).toBeTruthy()
 	})
 
@@ -0,0 +1,102 @@
+const Reactor = require('../src/Reactor')
+
+function createStore (config = {}) {
+  return new Reactor({
+    state: {
+      hero: {
+        name: 'conan',
+        equipment: [{ name: 'sword' }]
+      },
+      scores: new Map([['conan', { value: 10 }]]),
+      tags: new Set(['barbarian'])
+    },
+    getters: {
+      equipment: state => state.hero.equipment,
+      heroName: state => state.hero.name,
+      heavyItems: state => state.hero.equipment.filter(item => item.name !== 'dagger'),
+      score: state => name => state.scores.get(name)
+    },
+    mutations: {
+      rename: ({ name }, { state }) => {
+        state.hero.name = name
+      }
+    },
+    config
+  })
+}
+
+describe('readonly', function () {
+  it('should read state through a readonly view', function () {
+    const r = createStore()
+    const ro = r.readonlyState
+    expect(ro.hero.name).toBe('conan')
+    expect(ro.hero.equipment.map(item => item.name)).toEqual(['sword'])
+    expect(ro.hero.equipment.length).toBe(1)
+    expect(Object.keys(ro.hero)).toEqual(['name', 'equipment'])
+    expect(r.isReadonly(ro.hero.equipment[0])).toBe(true)
+    expect(r.isReadonly(r.state.hero)).toBe(false)
+    expect(r.readonlyState.hero).toBe(ro.hero)
+  })
+
+  it('should throw an error on any write', function () {
+    const r = createStore()
+    const ro = r.readonlyState
+    expect(() => { ro.hero.name = 'valeria' }).toThrow(new Error('Cannot write "hero.name" : this is a readonly view.'))
+    expect(() => { delete ro.hero.name }).toThrow(new Error('Cannot write "hero.name" : this is a readonly view.'))
+    expect(() => ro.hero.equipment.push({ name: 'axe' })).toThrow(new Error('Cannot write "hero.equipment.1" : this is a readonly view.'))
+    expect(() => Object.defineProperty(ro.hero, 'level', { value: 1 })).toThrow(new Error('Cannot write "hero.level" : this is a readonly view.'))
+    expect(() => ro.scores.set('valeria', 5)).toThrow(new Error('Cannot write "scores.valeria" : this is a readonly view.'))
+    expect(() => ro.tags.clear()).toThrow(new Error('Cannot write "tags" : this is a readonly view.'))
+    expect(r.state.hero.name).toBe('conan')
+    expect(r.state.hero.equipment.length).toBe(1)
+    expect(r.state.scores.has('valeria')).toBe(false)
+  })
+
+  it('should give readonly views of Map and Set content', function () {
+    const r = createStore()
+    const ro = r.readonlyState
+    expect(ro.scores.get('conan').value).toBe(10)
+    expect(() => { ro.scores.get('conan').value = 11 }).toThrow(new Error('Cannot write "scores.conan.value" : this is a readonly view.'))
+    const [[, oScore]] = [...ro.scores]
+    expect(r.isReadonly(oScore)).toBe(true)
+    ro.scores.forEach(value => expect(r.isReadonly(value)).toBe(true))
+    expect(ro.scores.size).toBe(1)
+    expect([...ro.tags]).toEqual(['barbarian'])
+    expect(ro.tags.has('barbarian')).toBe(true)
+  })
+
+  it('should track reads made through readonly views', function () {
+    const r = createStore()
+    const aLog = []
+    r.effect(() => aLog.push(r.readonlyState.hero.name))
+    r.mutations.rename({ name: 'valeria' })
+    expect(aLog).toEqual(['conan', 'valeria'])
+  })
+
+  it('should return writable getter results by default', function () {
+    const r = createStore()
+    r.getters.equipment.push({ name: 'axe' })
+    expect(r.state.hero.equipment.length).toBe(2)
+  })
+
+  it('should return readonly getter results when readonlyGetters is set', function () {
+    const r = createStore({ readonlyGetters: true })
+    expect(() => r.getters.equipment.push({ name: 'axe' }))
+      .toThrow(new Error('Cannot write "hero.equipment.1" : this is a readonly view.'))
+    expect(() => { r.getters.heavyItems[0].name = 'axe' })
+      .toThrow(new Error('Cannot write "hero.equipment.0.name" : this is a readonly view.'))
+    expect(() => { r.getters.score('conan').value = 0 })
+      .toThrow(new Error('Cannot write "scores.conan.value" : this is a readonly view.'))
+    expect(r.getters.heroName).toBe('conan')
+    expect(r.getters.equipment).toBe(r.getters.equipment)
+    expect(r.state.hero.equipment.length).toBe(1)
+  })
+
+  it('should leave primitive values and frozen objects unchanged', function () {
+    const r = createStore()
+    const oFrozen = Object.freeze({ a: 1 })
+    expect(r.readonly(12)).toBe(12)
+    expect(r.readonly(null)).toBe(null)
+    expect(r.readonly(oFrozen)).toBe(oFrozen)
+  })
+})
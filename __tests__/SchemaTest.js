@@ -0,0 +1,141 @@
+const Reactor = require('../src/Reactor')
+const { getSubSchema, validate } = require('../src/schema')
+
+const schema = {
+  type: 'object',
+  required: ['hero'],
+  properties: {
+    hero: {
+      type: 'object',
+      required: ['name', 'level'],
+      properties: {
+        name: { type: 'string' },
+        level: { type: 'integer', minimum: 1, maximum: 20 },
+        class: { enum: ['barbarian', 'thief'] },
+        inventory: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' },
+              weight: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    gold: { type: ['number', 'null'] }
+  }
+}
+
+function createState () {
+  return {
+    hero: {
+      name: 'conan',
+      level: 1,
+      class: 'barbarian',
+      inventory: [{ name: 'sword', weight: 3 }]
+    },
+    gold: 0
+  }
+}
+
+function createStore (state = createState()) {
+  return new Reactor({
+    state,
+    schema,
+    mutations: {
+      setLevel: ({ level }, { state }) => {
+        state.hero.level = level
+      },
+      addItem: ({ item }, { state }) => {
+        state.hero.inventory.push(item)
+      }
+    }
+  })
+}
+
+describe('schema helpers', function () {
+  it('should find sub schemas', function () {
+    expect(getSubSchema(schema, ['hero', 'inventory', 0, 'weight'])).toEqual({ type: 'number', minimum: 0 })
+    expect(getSubSchema(schema, ['hero', 'unknown'])).toBeNull()
+    expect(getSubSchema(schema, [])).toBe(schema)
+  })
+
+  it('should report the first violation', function () {
+    expect(validate(createState(), schema)).toBeNull()
+    expect(validate({ hero: { name: 'conan' } }, schema)).toEqual({
+      path: ['hero'],
+      message: 'required property "level" is missing'
+    })
+    expect(validate(1.5, { type: 'integer' }, ['x'])).toEqual({
+      path: ['x'],
+      message: 'must be of type "integer" ; "number" was given'
+    })
+  })
+})
+
+describe('schema validation', function () {
+  it('should validate initial state', function () {
+    const state = createState()
+    state.hero.inventory[0].weight = -1
+    expect(() => createStore(state)).toThrow(new Error('Invalid value at "hero.inventory.0.weight" : must be >= 0 ; -1 was given.'))
+  })
+
+  it('should throw an error when schema is invalid', function () {
+    expect(() => new Reactor({ state: {}, schema: { type: 'date' } }))
+      .toThrow(new TypeError('Schema at "" has an unsupported type "date".'))
+  })
+
+  it('should reject invalid writes, naming path and mutation', function () {
+    const r = createStore()
+    expect(() => r.mutations.setLevel({ level: '2' }))
+      .toThrow(new Error('Invalid value at "hero.level" in mutation "setLevel" : must be of type "integer" ; "string" was given.'))
+    expect(() => r.mutations.setLevel({ level: 21 }))
+      .toThrow(new Error('Invalid value at "hero.level" in mutation "setLevel" : must be <= 20 ; 21 was given.'))
+    expect(() => { r.state.hero.class = 'wizard' })
+      .toThrow(new Error('Invalid value at "hero.class" : must be one of ["barbarian","thief"] ; "wizard" was given.'))
+    expect(r.state.hero.level).toBe(1)
+    expect(r.state.hero.class).toBe('barbarian')
+  })
+
+  it('should validate array items', function () {
+    const r = createStore()
+    expect(() => r.mutations.addItem({ item: { weight: 2 } }))
+      .toThrow(new Error('Invalid value at "hero.inventory.1" in mutation "addItem" : required property "name" is missing.'))
+    expect(r.state.hero.inventory.length).toBe(1)
+    r.mutations.addItem({ item: { name: 'shield', weight: 5 } })
+    expect(() => { r.state.hero.inventory[1].weight = NaN })
+      .toThrow(new Error('Invalid value at "hero.inventory.1.weight" : must be of type "number" ; "NaN" was given.'))
+  })
+
+  it('should reject deletion of required properties', function () {
+    const r = createStore()
+    expect(() => { delete r.state.hero.name })
+      .toThrow(new Error('Invalid value at "hero.name" : required property "name" cannot be deleted.'))
+    delete r.state.hero.class
+    expect('class' in r.state.hero).toBe(false)
+  })
+
+  it('should accept valid writes and unconstrained properties', function () {
+    const r = createStore()
+    r.mutations.setLevel({ level: 5 })
+    r.state.gold = null
+    r.state.hero.nickname = 42
+    r.state.hero = { name: 'valeria', level: 3 }
+    expect(r.state.hero.level).toBe(3)
+    expect(() => { r.state.hero = { name: 'valeria' } })
+      .toThrow(new Error('Invalid value at "hero" : required property "level" is missing.'))
+  })
+
+  it('should not validate objects held by a Set against the root schema', function () {
+    const state = createState()
+    state.tags = new Set([{ hero: 'none', gold: 'none' }])
+    const r = createStore(state)
+    const item = [...r.state.tags][0]
+    item.gold = 'plenty'
+    delete item.hero
+    expect(item).toEqual({ gold: 'plenty' })
+  })
+})
@@ -0,0 +1,70 @@
+const Reactor = require('../src/Reactor')
+
+function createSource () {
+  return {
+    hero: {
+      name: 'conan',
+      inventory: [{ name: 'sword' }]
+    },
+    scores: new Map([['conan', { value: 10 }]])
+  }
+}
+
+describe('non-invasive proxification', function () {
+  it('should leave objects given as state untouched', function () {
+    const source = createSource()
+    const r = new Reactor({ state: source })
+    expect(r.state.hero.name).toBe('conan')
+    expect(Object.getOwnPropertySymbols(source)).toEqual([])
+    expect(Object.getOwnPropertySymbols(source.hero)).toEqual([])
+    expect(Object.getOwnPropertySymbols(source.hero.inventory)).toEqual([])
+    expect(Object.getOwnPropertySymbols(source.scores.get('conan'))).toEqual([])
+    expect(Object.isExtensible(source.hero)).toBe(true)
+  })
+
+  it('should leave mutation payloads untouched', function () {
+    const r = new Reactor({
+      state: createSource(),
+      mutations: {
+        addItem: ({ item }, { state }) => {
+          state.hero.inventory.push(item)
+        }
+      }
+    })
+    const item = { name: 'axe' }
+    r.mutations.addItem({ item })
+    expect(Object.getOwnPropertySymbols(item)).toEqual([])
+    expect(r.isReactive(item)).toBe(false)
+    expect(r.isReactive(r.state.hero.inventory[1])).toBe(true)
+  })
+
+  it('should make shared source data reactive in several reactors', function () {
+    const source = createSource()
+    const r1 = new Reactor({ state: source, getters: { name: state => state.hero.name } })
+    const r2 = new Reactor({ state: source, getters: { name: state => state.hero.name } })
+    expect(r1.isReactive(r1.state.hero)).toBe(true)
+    expect(r2.isReactive(r2.state.hero)).toBe(true)
+    expect(r1.getters.name).toBe('conan')
+    expect(r2.getters.name).toBe('conan')
+    r1.state.hero.name = 'valeria'
+    r2.state.hero.name = 'red sonja'
+    expect(r1.getters.name).toBe('valeria')
+    expect(r2.getters.name).toBe('red sonja')
+    expect(source.hero.name).toBe('conan')
+  })
+
+  it('should make a proxy of another reactor reactive', function () {
+    const r1 = new Reactor({ state: createSource() })
+    const r2 = new Reactor({
+      state: { hero: null },
+      getters: { name: state => state.hero && state.hero.name }
+    })
+    r2.state.hero = r1.state.hero
+    expect(r2.isProxy(r2.state.hero)).toBe(true)
+    expect(r2.state.hero).not.toBe(r1.state.hero)
+    expect(r2.getters.name).toBe('conan')
+    r2.state.hero.name = 'valeria'
+    expect(r2.getters.name).toBe('valeria')
+    expect(r1.state.hero.name).toBe('conan')
+  })
+})
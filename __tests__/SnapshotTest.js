@@ -0,0 +1,115 @@
+const Reactor = require('../src/Reactor')
+
+function createStore () {
+  return new Reactor({
+    state: {
+      level: 1,
+      hero: {
+        name: 'conan',
+        inventory: ['sword', 'shield']
+      },
+      flags: new Set(['intro-done']),
+      npcs: new Map([['n1', { name: 'merchant' }]])
+    },
+    getters: {
+      heroName: state => state.hero.name,
+      itemCount: state => state.hero.inventory.length,
+      flagCount: state => state.flags.size
+    }
+  })
+}
+
+describe('snapshot', function () {
+  it('should return a deep plain copy of state', function () {
+    const r = createStore()
+    const s = r.snapshot()
+    expect(s).toEqual({
+      level: 1,
+      hero: {
+        name: 'conan',
+        inventory: ['sword', 'shield']
+      },
+      flags: new Set(['intro-done']),
+      npcs: new Map([['n1', { name: 'merchant' }]])
+    })
+    expect(r.isReactive(s)).toBeFalsy()
+    expect(r.isReactive(s.hero)).toBeFalsy()
+    expect(r.isReactive(s.hero.inventory)).toBeFalsy()
+    expect(r.isReactive(s.npcs.get('n1'))).toBeFalsy()
+  })
+
+  it('should not be affected by later state changes', function () {
+    const r = createStore()
+    const s = r.snapshot()
+    r.state.hero.name = 'red sonja'
+    r.state.hero.inventory.push('axe')
+    expect(s.hero.name).toBe('conan')
+    expect(s.hero.inventory).toEqual(['sword', 'shield'])
+  })
+
+  it('should copy circular references', function () {
+    const r = new Reactor({ state: { a: { name: 'a', other: null } } })
+    r.state.a.other = r.state.a
+    const s = r.snapshot()
+    expect(s.a.other).toBe(s.a)
+  })
+})
+
+describe('replaceState', function () {
+  it('should load a new state and invalidate getters', function () {
+    const r = createStore()
+    expect(r.getters.heroName).toBe('conan')
+    expect(r.getters.itemCount).toBe(2)
+    const oSaved = r.snapshot()
+    r.state.hero.name = 'red sonja'
+    r.state.hero.inventory.push('axe')
+    r.state.flags.add('boss-killed')
+    expect(r.getters.heroName).toBe('red sonja')
+    expect(r.getters.itemCount).toBe(3)
+    expect(r.getters.flagCount).toBe(2)
+    r.replaceState(oSaved)
+    expect(r.getters.heroName).toBe('conan')
+    expect(r.getters.itemCount).toBe(2)
+    expect(r.getters.flagCount).toBe(1)
+    expect(r.isReactive(r.state.hero)).toBeTruthy()
+    r.state.hero.inventory.pop()
+    expect(r.getters.itemCount).toBe(1)
+  })
+
+  it('should remove properties not in the new state', function () {
+    const r = new Reactor({
+      state: { a: 1, b: 2 },
+      getters: {
+        keys: state => Object.keys(state).join(',')
+      }
+    })
+    expect(r.getters.keys).toBe('a,b')
+    r.replaceState({ b: 3, c: 4 })
+    expect(r.getters.keys).toBe('b,c')
+    expect(r.state).toEqual({ b: 3, c: 4 })
+  })
+
+  it('should run effects once the whole state is replaced', function () {
+    const r = new Reactor({
+      state: { a: 1, b: 2 }
+    })
+    const aLog = []
+    r.effect(state => aLog.push(state.a + state.b))
+    r.replaceState({ a: 10, b: 20 })
+    expect(aLog).toEqual([3, 30])
+  })
+
+  it('should survive a JSON round trip', function () {
+    const r = new Reactor({
+      state: { hero: { name: 'conan', hp: 10 } },
+      getters: {
+        hp: state => state.hero.hp
+      }
+    })
+    const sSaved = JSON.stringify(r.snapshot())
+    r.state.hero.hp = 0
+    expect(r.getters.hp).toBe(0)
+    r.replaceState(JSON.parse(sSaved))
+    expect(r.getters.hp).toBe(10)
+  })
+})
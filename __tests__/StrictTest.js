@@ -0,0 +1,98 @@
+const Reactor = require('../src/Reactor')
+
+function createStore (strict = true) {
+  return new Reactor({
+    state: {
+      hero: {
+        name: 'conan',
+        stats: {
+          str: 18
+        }
+      },
+      books: [{ title: 'Dune' }],
+      lookup: new Map()
+    },
+    getters: {
+      getStr: state => state.hero.stats.str
+    },
+    mutations: {
+      setStr: ({ value }, { state }) => {
+        state.hero.stats.str = value
+      },
+      addBook: ({ title }, { state }) => {
+        state.books.push({ title })
+      },
+      moveHero: (payload, { state }) => {
+        state.backup = state.hero
+        state.backup = null
+      }
+    },
+    config: {
+      strict,
+      history: true
+    }
+  })
+}
+
+describe('strict mode', function () {
+  it('should allow writes made by mutations', function () {
+    const r = createStore()
+    expect(() => r.mutations.setStr({ value: 20 })).not.toThrow()
+    expect(() => r.mutations.addBook({ title: 'Hyperion' })).not.toThrow()
+    expect(r.getters.getStr).toBe(20)
+    expect(r.state.books.length).toBe(2)
+  })
+
+  it('should throw when writing state outside of a mutation, with property path', function () {
+    const r = createStore()
+    expect(() => {
+      r.state.hero.stats.str = 25
+    }).toThrow(new Error('Cannot write "hero.stats.str" outside of a mutation : state is in strict mode.'))
+    expect(() => {
+      r.state.books[0].title = 'Children of Dune'
+    }).toThrow(new Error('Cannot write "books.0.title" outside of a mutation : state is in strict mode.'))
+    expect(() => {
+      delete r.state.hero.name
+    }).toThrow(new Error('Cannot write "hero.name" outside of a mutation : state is in strict mode.'))
+    expect(() => {
+      r.state.books.push({ title: 'Hyperion' })
+    }).toThrow(new Error('Cannot write "books.1" outside of a mutation : state is in strict mode.'))
+    expect(() => {
+      r.state.lookup.set('x', 1)
+    }).toThrow(new Error('Cannot write "lookup.x" outside of a mutation : state is in strict mode.'))
+    expect(r.getters.getStr).toBe(18)
+    expect(r.state.hero.name).toBe('conan')
+    expect(r.state.books.length).toBe(1)
+  })
+
+  it('should give path of objects added by mutations', function () {
+    const r = createStore()
+    r.mutations.addBook({ title: 'Hyperion' })
+    expect(() => {
+      r.state.books[1].title = 'Endymion'
+    }).toThrow(new Error('Cannot write "books.1.title" outside of a mutation : state is in strict mode.'))
+  })
+
+  it('should allow undo, redo and replaceState', function () {
+    const r = createStore()
+    r.mutations.setStr({ value: 20 })
+    expect(() => r.history.undo()).not.toThrow()
+    expect(() => r.history.redo()).not.toThrow()
+    expect(() => r.replaceState(r.snapshot())).not.toThrow()
+  })
+
+  it('should not throw when strict mode is off', function () {
+    const r = createStore(false)
+    expect(() => {
+      r.state.hero.stats.str = 25
+    }).not.toThrow()
+    expect(r.getters.getStr).toBe(25)
+  })
+
+  it('should name the current path of a moved object', function () {
+    const r = createStore()
+    r.mutations.moveHero()
+    expect(() => { r.state.hero.stats.str = 5 })
+      .toThrow(new Error('Cannot write "hero.stats.str" outside of a mutation : state is in strict mode.'))
+  })
+})
@@ -0,0 +1,129 @@
+const Reactor = require('../src/Reactor')
+
+function createStore () {
+  return new Reactor({
+    state: {
+      a: 1,
+      b: 2,
+      items: [],
+      hero: {
+        name: 'conan',
+        stats: {
+          str: 18
+        }
+      }
+    },
+    getters: {
+      sum: state => state.a + state.b,
+      count: state => state.items.length
+    },
+    mutations: {
+      setA: ({ value }, { state }) => {
+        state.a = value
+      },
+      addItem: ({ item }, { state }) => {
+        state.items.push(item)
+      }
+    }
+  })
+}
+
+describe('watch', function () {
+  it('should call callback when a watched getter changes', function () {
+    const r = createStore()
+    const aLog = []
+    r.watch('sum', (newValue, oldValue) => aLog.push([newValue, oldValue]))
+    expect(aLog).toEqual([])
+    r.mutations.setA({ value: 10 })
+    expect(aLog).toEqual([[12, 3]])
+    r.state.b = 5
+    expect(aLog).toEqual([[12, 3], [15, 12]])
+  })
+
+  it('should not call callback when the watched value is unchanged', function () {
+    const r = createStore()
+    const aLog = []
+    r.watch('sum', (newValue, oldValue) => aLog.push([newValue, oldValue]))
+    r.state.a = 1
+    r.state.hero.name = 'red sonja'
+    expect(aLog).toEqual([])
+  })
+
+  it('should watch a function reading state and getters', function () {
+    const r = createStore()
+    const aLog = []
+    r.watch((state, getters) => state.hero.name + ' ' + getters.count, newValue => aLog.push(newValue))
+    r.mutations.addItem({ item: 'sword' })
+    r.state.hero.name = 'red sonja'
+    expect(aLog).toEqual(['conan 1', 'red sonja 1'])
+  })
+
+  it('should call callback right away when immediate is set', function () {
+    const r = createStore()
+    const aLog = []
+    r.watch('count', (newValue, oldValue) => aLog.push([newValue, oldValue]), { immediate: true })
+    expect(aLog).toEqual([[0, undefined]])
+    r.mutations.addItem({ item: 'shield' })
+    expect(aLog).toEqual([[0, undefined], [1, 0]])
+  })
+
+  it('should detect deep changes when deep is set', function () {
+    const r = createStore()
+    let nShallow = 0
+    let nDeep = 0
+    r.watch(state => state.hero, () => ++nShallow)
+    r.watch(state => state.hero, () => ++nDeep, { deep: true })
+    r.state.hero.stats.str = 19
+    expect(nShallow).toBe(0)
+    expect(nDeep).toBe(1)
+  })
+
+  it('should use custom equality check', function () {
+    const r = createStore()
+    const aLog = []
+    r.watch(
+      state => state.a,
+      newValue => aLog.push(newValue),
+      { equals: (a, b) => Math.floor(a / 10) === Math.floor(b / 10) }
+    )
+    r.state.a = 5
+    r.state.a = 12
+    r.state.a = 18
+    r.state.a = 25
+    expect(aLog).toEqual([12, 25])
+  })
+
+  it('should stop calling callback once stopped', function () {
+    const r = createStore()
+    const aLog = []
+    const stop = r.watch('sum', newValue => aLog.push(newValue))
+    r.state.a = 10
+    stop()
+    r.state.a = 20
+    expect(aLog).toEqual([12])
+  })
+
+  it('should call callback once per mutation', function () {
+    const r = new Reactor({
+      state: { a: 1 },
+      mutations: {
+        countDown: (payload, { state }) => {
+          while (state.a > 0) {
+            --state.a
+          }
+        }
+      }
+    })
+    const aLog = []
+    r.watch(state => state.a, (value, oldValue) => aLog.push([value, oldValue]))
+    r.state.a = 3
+    r.mutations.countDown()
+    expect(aLog).toEqual([[3, 1], [0, 3]])
+  })
+
+  it('should throw an error when watching an undefined getter', function () {
+    const r = createStore()
+    expect(() => r.watch('xyz', () => {})).toThrow(new Error('Cannot watch getter "xyz" : this getter is not defined.'))
+    expect(() => r.watch(12, () => {})).toThrow(new TypeError('Watch source must be a getter name or a function ; "number" was given.'))
+  })
+})
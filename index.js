@@ -1,2 +1,11 @@
 const reactor = require('./src/Reactor')
+const { Persistence, FileSystemAdapter, MemoryAdapter } = require('./src/persistence')
+const { toDot } = require('./src/dot')
+
+// persistence classes and toDot() are given by the entry point, as static properties of Reactor
+reactor.Persistence = Persistence
+reactor.FileSystemAdapter = FileSystemAdapter
+reactor.MemoryAdapter = MemoryAdapter
+reactor.toDot = toDot
+
 module.exports = reactor
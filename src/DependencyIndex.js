@@ -0,0 +1,53 @@
+/**
+ * A global index of dependencies : target -> property -> dependents
+ * A dependent is anything that must be notified when target/property is modified
+ * (a getter, a parameterised getter entry, an effect)
+ */
+class DependencyIndex {
+  constructor () {
+    this._targets = new WeakMap()
+  }
+
+  add (target, property, dependent) {
+    let properties = this._targets.get(target)
+    if (!properties) {
+      properties = new Map()
+      this._targets.set(target, properties)
+    }
+    let dependents = properties.get(property)
+    if (!dependents) {
+      dependents = new Set()
+      properties.set(property, dependents)
+    }
+    dependents.add(dependent)
+  }
+
+  remove (target, property, dependent) {
+    const properties = this._targets.get(target)
+    if (!properties) {
+      return
+    }
+    const dependents = properties.get(property)
+    if (!dependents) {
+      return
+    }
+    dependents.delete(dependent)
+    if (dependents.size === 0) {
+      properties.delete(property)
+    }
+  }
+
+  /**
+   * @param target {object}
+   * @param property {*}
+   * @returns {Set|undefined} all dependents of target/property
+   */
+  get (target, property) {
+    const properties = this._targets.get(target)
+    return properties
+      ? properties.get(property)
+      : undefined
+  }
+}
+
+module.exports = DependencyIndex
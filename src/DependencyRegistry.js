@@ -1,40 +1,92 @@
+// WeakRef is available since Node 14.6 : older engines hold targets strongly
+const createRef = typeof WeakRef === 'function'
+  ? target => new WeakRef(target)
+  : target => ({ deref: () => target })
+
+/**
+ * All target/property pairs a dependent (getter, effect...) has read.
+ * Targets are only weakly held (where WeakRef is available) : an object removed from state may be garbage collected
+ * even if a getter that once read it is never computed again.
+ * When an index is given, each pair is also registered in this index, so that
+ * a modified target/property leads straight to its dependents.
+ */
 class DependencyRegistry {
-  constructor () {
-    this._properties = {}
-    this._instances = new Set()
+  /**
+   * @param index {DependencyIndex|null} global dependency index
+   * @param owner {object|null} dependent registered in the index
+   */
+  constructor (index = null, owner = null) {
+    // target -> Set of properties
+    this._targets = new WeakMap()
+    // one weak reference per target, to iterate over targets still alive
+    this._refs = new Set()
+    this._index = index
+    this._owner = owner
   }
 
   add (target, property) {
-    const p = this._properties
-    if (property in p) {
-      p[property].add(target)
-    } else {
-      p[property] = new Set([target])
+    let properties = this._targets.get(target)
+    if (!properties) {
+      properties = new Set()
+      this._targets.set(target, properties)
+      this._refs.add(createRef(target))
+    } else if (properties.has(property)) {
+      return
+    }
+    properties.add(property)
+    if (this._index) {
+      this._index.add(target, property, this._owner)
     }
   }
 
   has (target, property = undefined) {
-    let r = false
-    if (property in this._properties) {
-      r = this._properties[property].has(target)
-    }
-    return r
+    const properties = this._targets.get(target)
+    return !!properties && properties.has(property)
   }
 
+  /**
+   * Calls a function for each target/property pair ; garbage collected targets are skipped
+   * @param callback {function} (target, property)
+   */
+  forEach (callback) {
+    this._refs.forEach(ref => {
+      const target = ref.deref()
+      if (target === undefined) {
+        this._refs.delete(ref)
+        return
+      }
+      this._targets.get(target).forEach(property => callback(target, property))
+    })
+  }
+
+  /**
+   * For debugging purpose
+   * @returns {Map} target -> Set of properties
+   */
   get data () {
-    return {
-      properties: this._properties,
-      un: this._instances
-    }
+    const m = new Map()
+    this.forEach((target, property) => {
+      if (!m.has(target)) {
+        m.set(target, new Set())
+      }
+      m.get(target).add(property)
+    })
+    return m
   }
 
   reset () {
-    this._instances.clear()
-    Object
-      .keys(this._properties)
-      .forEach(prop => {
-        delete this._properties[prop]
-      })
+    this._refs.forEach(ref => {
+      const target = ref.deref()
+      if (target !== undefined) {
+        if (this._index) {
+          this._targets.get(target).forEach(property => {
+            this._index.remove(target, property, this._owner)
+          })
+        }
+        this._targets.delete(target)
+      }
+    })
+    this._refs.clear()
   }
 }
 
@@ -0,0 +1,103 @@
+/**
+ * Records the state changes made by mutations, so that they can be undone and redone.
+ * Each call to a mutation makes an undo step, unless it is run inside group()
+ */
+class History {
+  /**
+   * @param reactor {Reactor}
+   * @param limit {number} max number of undo steps
+   */
+  constructor (reactor, { limit = 100 } = {}) {
+    this._reactor = reactor
+    this._limit = limit
+    this._undoSteps = []
+    this._redoSteps = []
+    this._journal = null
+  }
+
+  get canUndo () {
+    return this._undoSteps.length > 0
+  }
+
+  get canRedo () {
+    return this._redoSteps.length > 0
+  }
+
+  get limit () {
+    return this._limit
+  }
+
+  /**
+   * Runs a function, all state changes it makes are recorded as one undo step.
+   * If a step is already being recorded, changes are added to this step
+   * @param fn {function}
+   * @returns {*} result of fn
+   */
+  record (fn) {
+    if (this._journal) {
+      return fn()
+    }
+    const reactor = this._reactor
+    const aJournal = this._journal = reactor.openJournal()
+    try {
+      return fn()
+    } finally {
+      reactor.closeJournal(aJournal)
+      this._journal = null
+      if (aJournal.length > 0) {
+        this._undoSteps.push(aJournal)
+        if (this._undoSteps.length > this._limit) {
+          this._undoSteps.shift()
+        }
+        this._redoSteps = []
+      }
+    }
+  }
+
+  /**
+   * Runs several mutations, recorded as a single undo step
+   * @param fn {function}
+   * @returns {*} result of fn
+   */
+  group (fn) {
+    return this.record(fn)
+  }
+
+  /**
+   * Reverts the last undo step
+   * @returns {boolean} false if there was nothing to undo
+   */
+  undo () {
+    if (!this.canUndo) {
+      return false
+    }
+    const aStep = this._undoSteps.pop()
+    this._reactor.revertChanges(aStep)
+    this._redoSteps.push(aStep)
+    return true
+  }
+
+  /**
+   * Applies the last undone step again
+   * @returns {boolean} false if there was nothing to redo
+   */
+  redo () {
+    if (!this.canRedo) {
+      return false
+    }
+    const aStep = this._redoSteps.pop()
+    this._reactor.applyChanges(aStep)
+    this._undoSteps.push(aStep)
+    return true
+  }
+
+  /**
+   * Forgets all undo and redo steps
+   */
+  clear () {
+    this._undoSteps = []
+    this._redoSteps = []
+  }
+}
+
+module.exports = History
@@ -1,4 +1,9 @@
 const DependencyRegistry = require('./DependencyRegistry')
+const DependencyIndex = require('./DependencyIndex')
+const History = require('./History')
+const Persistence = require('./persistence/Persistence')
+const { checkSchema, getSubSchema, validate } = require('./schema')
+const { PATCH_OPERATIONS, formatPointer, parsePointer, isArrayIndex, isDeepEqual } = require('./json-patch')
 /**
  * This class is an implementation of Vue.js reactivity system
  * as it is described at : https://v3.vuejs.org/guide/reactivity.html
@@ -9,11 +14,37 @@ const DependencyRegistry = require('./DependencyRegistry')
  */
 
 const Events = require('events')
-const { SYMBOL_PROXY, SYMBOL_BASE_OBJECT } = require('./symbols')
+const { SYMBOL_BASE_OBJECT, SYMBOL_SET_ITEM } = require('./symbols')
 
 const MUTATION_PARAM_ORDER_PAYLOAD_CONTEXT = 1
 const MUTATION_PARAM_ORDER_CONTEXT_PAYLOAD = 2
 
+// objects marked with Reactor.markRaw() : they are never proxified
+const RAW_OBJECTS = new WeakSet()
+
+// symbols can be WeakMap keys since Node 20 only
+const WEAK_SYMBOL_KEYS = (() => {
+  try {
+    new WeakMap().set(Symbol('test'), true)
+    return true
+  } catch (e) {
+    return false
+  }
+})()
+
+/**
+ * Holds an argument of a parameterised getter, for inspect() only : objects and functions are held weakly
+ * (where WeakRef is available), so that a cache entry does not keep them alive
+ * @param arg {*}
+ * @returns {{ deref: function }}
+ */
+function refArgument (arg) {
+  const bReference = (typeof arg === 'object' && arg !== null) || typeof arg === 'function'
+  return bReference && typeof WeakRef === 'function'
+    ? new WeakRef(arg)
+    : { deref: () => arg }
+}
+
 /**
  * Given an array of strings, return another array where all each matches an array prototype method
  * @param a {string[]}
@@ -35,6 +66,9 @@ function isPositiveNumber (x) {
   }
 }
 
+// array methods that modify the array
+const ARRAY_MUTATORS = filterArrayFunction(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'])
+
 /**
  * Instances of classe Reactor provide two properties :
  * - state : a proxified version of the state
@@ -48,8 +82,23 @@ class Reactor {
    * @param state {object} state
    * @param getters {object} all getters
    * @param mutations {object} all mutations
+   * @param actions {object} all actions (asynchronous functions)
+   * @param modules {object} namespaced modules, each having its own state, getters, mutations, actions and modules
    * @param externals {object} an objet containing non-reactive properties
+   * @param schema {object|null} a JSON Schema subset (type, required, enum, minimum, maximum, items, properties)
+   * validating the initial state and every state write
+   * @param plugins {function[]} functions called with the reactor, once state, getters, mutations and actions are defined
    * @param mutationParamOrder {number} MUTATION_PARAM_ORDER_*
+   * @param getterCacheSize {number} max number of cached results per parameterised getter
+   * @param history {boolean|object} if set, mutations are recorded and can be undone ; { limit } is the max number of undo steps
+   * @param strict {boolean} if true, writing state outside of a mutation throws an error
+   * @param batchMutations {boolean|string[]} if true, each mutation runs as a batch (see batch()) ;
+   * if an array, only the mutations it names run as batches
+   * @param atomicMutations {boolean} if true, all state changes made by a mutation are reverted when it throws
+   * @param shallowPaths {string[]} dot separated state paths ("*" matching any key) whose values are not proxified :
+   * assigning such a path is reactive, modifying the content of its value is not
+   * @param readonlyGetters {boolean} if true, getters return readonly views of their results (see readonly())
+   * @param persistence {object|null} if set, state is restored from, and saved to a storage adapter (see Persistence)
    * @param proxyId {number} poxy id starting sequence
    * @returns {boolean|any}
    */
@@ -57,54 +106,142 @@ class Reactor {
     state,
     getters,
     mutations = {},
+    actions = {},
+    modules = {},
     externals = {},
+    schema = null,
+    plugins = [],
     config: {
-      mutationParamOrder = MUTATION_PARAM_ORDER_PAYLOAD_CONTEXT
+      mutationParamOrder = MUTATION_PARAM_ORDER_PAYLOAD_CONTEXT,
+      getterCacheSize = 100,
+      history = false,
+      strict = false,
+      batchMutations = false,
+      atomicMutations = true,
+      readonlyGetters = false,
+      shallowPaths = [],
+      persistence = null
     } = {}
   }) {
     this._runningEffects = []
+    this._dependencyIndex = new DependencyIndex()
+    this._effects = new Set()
+    this._pendingEffects = new Set()
+    // effects only scheduled by reverted changes : they are run again without notifying watchers
+    this._revertedEffects = new Set()
+    this._triggerDepth = 0
+    this._batchDepth = 0
+    this._batchedTriggers = new WeakMap()
+    this._pendingEvents = []
+    const sBatchMutationsType = this.getType(batchMutations)
+    if (sBatchMutationsType !== 'boolean' && sBatchMutationsType !== 'array') {
+      throw new TypeError(`Batch mutations must be a boolean or an array ; "${sBatchMutationsType}" was given.`)
+    }
+    this._batchMutations = batchMutations
+    this._atomicMutations = atomicMutations
+    this._flushingEffects = false
     this._getters = {}
     this._getterData = {}
     this._getterProxies = {}
     this._mutations = {}
+    this._actions = {}
+    this._middlewares = []
     this._externals = externals
     this._events = new Events()
     this._mutationParamOrder = mutationParamOrder
+    this._getterCacheSize = getterCacheSize
+    this._argumentIds = new WeakMap()
+    // on engines where symbols cannot be WeakMap keys, symbol arguments are held strongly
+    this._symbolArgumentIds = WEAK_SYMBOL_KEYS ? this._argumentIds : new Map()
+    this._lastArgumentId = 0
+    this._proxies = new WeakMap()
+    this._originalProxies = new WeakMap()
+    this._targets = new WeakMap()
+    this._parents = new WeakMap()
+    this._strict = strict
+    this._mutationDepth = 0
+    this._mutationNames = []
+    this._journals = []
+    this._journalTransforms = new WeakMap()
+    this._readonlyProxies = new WeakMap()
+    this._readonlyTargets = new WeakMap()
+    this._readonlyGetters = readonlyGetters
+    const sShallowPathsType = this.getType(shallowPaths)
+    if (sShallowPathsType !== 'array') {
+      throw new TypeError(`Shallow paths must be an array ; "${sShallowPathsType}" was given.`)
+    }
+    this._shallowPaths = shallowPaths.map(sPath => sPath.split('.'))
+    this._history = history
+      ? new History(this, history === true ? {} : history)
+      : null
     const track = this.track.bind(this)
     const trigger = this.trigger.bind(this)
-    const proxify = target => this.proxify(target)
+    const proxify = (value, target, key) => this.proxify(value, this.getChildPath(target, key))
+    const record = change => this.recordChange(change)
+    const hasOwn = (target, property) => Object.prototype.hasOwnProperty.call(target, property)
+    const link = (value, target, key) => this.linkParent(value, target, key)
+    const checkWrite = (target, key) => this.checkStrictWrite(target, key)
+    const validateWrite = (target, key, value) => this.validateWrite(target, key, value)
+    const validateDelete = (target, key) => this.validateDelete(target, key)
+    const readonly = value => this.readonly(value)
+    const readonlyError = (target, key) => this.throwReadonlyError(target, key)
+    // effects are run once a whole write is over, never between the triggers of this write
+    const defer = fn => (...args) => this.deferEffects(() => fn(...args))
     this._handlerArray = {
       get (target, property, receiver) {
-        if (property === SYMBOL_PROXY) {
-          return target[SYMBOL_PROXY] || true
-        }
         const result =  Reflect.get(target, property, receiver)
         if (typeof target[property] === 'function') {
           track(target, SYMBOL_BASE_OBJECT)
+          if (ARRAY_MUTATORS.includes(property)) {
+            // push(), splice()... make several writes
+            return defer((...args) => result.apply(receiver, args))
+          }
         }
         if (property === 'length' || isPositiveNumber(property)) {
           track(target, property)
         }
         return result
       },
-      set (target, property, value, receiver) {
+      set: defer((target, property, value, receiver) => {
+        checkWrite(target, property)
         const bIndex = isPositiveNumber(property)
         if (bIndex) {
+          validateWrite(target, property, value)
           const nIndex = +property
           const nPrevLength = target.length
-          const result = Reflect.set(target, nIndex, proxify(value), receiver)
+          const bHadProperty = hasOwn(target, property)
+          const oldValue = target[nIndex]
+          const newValue = proxify(value, target, property)
+          const result = Reflect.set(target, nIndex, newValue, receiver)
+          link(newValue, target, property)
           const nNewLength = target.length
           trigger(target, property)
           if (nNewLength !== nPrevLength) {
             trigger(target, 'length')
           }
+          record({ target, kind: 'property', key: property, had: bHadProperty, oldValue, has: true, newValue })
+          if (nNewLength !== nPrevLength) {
+            record({ target, kind: 'property', key: 'length', had: true, oldValue: nPrevLength, has: true, newValue: nNewLength })
+          }
           return result
         } else if (property === 'length') {
-          const result = Reflect.set(target, property, proxify(value), receiver)
+          const nPrevLength = target.length
+          // items removed by shortening the array are recorded as deleted
+          const aRemoved = []
+          for (let i = nPrevLength - 1; i >= value; --i) {
+            if (hasOwn(target, i)) {
+              aRemoved.push({ target, kind: 'property', key: String(i), had: true, oldValue: target[i], has: false })
+            }
+          }
+          const result = Reflect.set(target, property, value, receiver)
           trigger(target, property)
+          aRemoved.forEach(record)
+          if (target.length !== nPrevLength) {
+            record({ target, kind: 'property', key: 'length', had: true, oldValue: nPrevLength, has: true, newValue: target.length })
+          }
           return result
         }
-      },
+      }),
       has (target, property) {
         const result =  Reflect.has(target, property)
         track(target, property)
@@ -115,7 +252,10 @@ class Reactor {
         track(target, SYMBOL_BASE_OBJECT)
         return result
       },
-      deleteProperty (target, property) {
+      deleteProperty: defer((target, property) => {
+        checkWrite(target, property)
+        const bHadProperty = hasOwn(target, property)
+        const oldValue = target[property]
         const result = Reflect.deleteProperty(target, property)
         const nPrevLength = target.length
         trigger(target, property)
@@ -123,27 +263,34 @@ class Reactor {
         if (nNewLength !== nPrevLength) {
           trigger(target, 'length')
         }
+        if (bHadProperty) {
+          record({ target, kind: 'property', key: property, had: true, oldValue, has: false })
+        }
         return result
-      }
+      })
     }
     this._handler = {
       get (target, property, receiver) {
-        if (property === SYMBOL_PROXY) {
-          return target[SYMBOL_PROXY] || true
-        }
         const result = Reflect.get(target, property, receiver)
         track(target, property)
         return result
       },
-      set (target, property, value, receiver) {
+      set: defer((target, property, value, receiver) => {
+        checkWrite(target, property)
+        validateWrite(target, property, value)
         const bNewProperty = !(property in target)
-        const result =  Reflect.set(target, property, proxify(value), receiver)
+        const bHadProperty = hasOwn(target, property)
+        const oldValue = target[property]
+        const newValue = proxify(value, target, property)
+        const result = Reflect.set(target, property, newValue, receiver)
+        link(newValue, target, property)
         trigger(target, property)
         if (bNewProperty) {
           trigger(target, SYMBOL_BASE_OBJECT)
         }
+        record({ target, kind: 'property', key: property, had: bHadProperty, oldValue, has: true, newValue })
         return result
-      },
+      }),
       has (target, property) {
         const result =  Reflect.has(target, property)
         track(target, property)
@@ -154,19 +301,232 @@ class Reactor {
         track(target, SYMBOL_BASE_OBJECT)
         return result
       },
+      deleteProperty: defer((target, property) => {
+        checkWrite(target, property)
+        validateDelete(target, property)
+        const bHadProperty = hasOwn(target, property)
+        const oldValue = target[property]
+        const result = Reflect.deleteProperty(target, property)
+        if (bHadProperty) {
+          trigger(target, property)
+          trigger(target, SYMBOL_BASE_OBJECT)
+          record({ target, kind: 'property', key: property, had: true, oldValue, has: false })
+        }
+        return result
+      })
+    }
+    // objects are stored in Sets as proxies : they are looked up by their proxy
+    const setKey = (target, key) => target instanceof Set ? this.getKnownProxy(key) : key
+    // Map and Set methods, called with the raw collection and its proxy
+    const collectionMethods = {
+      get (target, receiver, key) {
+        track(target, key)
+        return target.get(key)
+      },
+      has (target, receiver, key) {
+        key = setKey(target, key)
+        track(target, key)
+        return target.has(key)
+      },
+      set: defer((target, receiver, key, value) => {
+        checkWrite(target, key)
+        const bHadKey = target.has(key)
+        const oldValue = target.get(key)
+        const newValue = proxify(value, target, key)
+        target.set(key, newValue)
+        link(newValue, target, key)
+        if (!bHadKey || !Object.is(oldValue, newValue)) {
+          trigger(target, key)
+          trigger(target, SYMBOL_BASE_OBJECT)
+          record({ target, kind: 'map', key, had: bHadKey, oldValue, has: true, newValue })
+        }
+        return receiver
+      }),
+      add: defer((target, receiver, value) => {
+        checkWrite(target, value)
+        const newValue = proxify(value, null)
+        if (!target.has(newValue)) {
+          target.add(newValue)
+          link(newValue, target, SYMBOL_SET_ITEM)
+          trigger(target, newValue)
+          trigger(target, SYMBOL_BASE_OBJECT)
+          record({ target, kind: 'set', key: newValue, had: false, has: true })
+        }
+        return receiver
+      }),
+      delete: defer((target, receiver, key) => {
+        key = setKey(target, key)
+        checkWrite(target, key)
+        const sKind = target instanceof Map ? 'map' : 'set'
+        const oldValue = sKind === 'map' ? target.get(key) : undefined
+        const result = target.delete(key)
+        if (result) {
+          trigger(target, key)
+          trigger(target, SYMBOL_BASE_OBJECT)
+          record({ target, kind: sKind, key, had: true, oldValue, has: false })
+        }
+        return result
+      }),
+      clear: defer((target) => {
+        checkWrite(target, undefined)
+        const sKind = target instanceof Map ? 'map' : 'set'
+        const aRemoved = [...target.keys()].map(key => ({
+          target,
+          kind: sKind,
+          key,
+          had: true,
+          oldValue: sKind === 'map' ? target.get(key) : undefined,
+          has: false
+        }))
+        target.clear()
+        aRemoved.forEach(({ key }) => {
+          trigger(target, key)
+        })
+        if (aRemoved.length > 0) {
+          trigger(target, SYMBOL_BASE_OBJECT)
+        }
+        aRemoved.forEach(record)
+      }),
+      forEach (target, receiver, callback, thisArg) {
+        track(target, SYMBOL_BASE_OBJECT)
+        target.forEach((value, key) => callback.call(thisArg, value, key, receiver))
+      },
+      keys (target) {
+        track(target, SYMBOL_BASE_OBJECT)
+        return target.keys()
+      },
+      values (target) {
+        track(target, SYMBOL_BASE_OBJECT)
+        return target.values()
+      },
+      entries (target) {
+        track(target, SYMBOL_BASE_OBJECT)
+        return target.entries()
+      },
+      [Symbol.iterator] (target) {
+        track(target, SYMBOL_BASE_OBJECT)
+        return target[Symbol.iterator]()
+      }
+    }
+    this._handlerCollection = {
+      get (target, property, receiver) {
+        if (property === 'size') {
+          track(target, SYMBOL_BASE_OBJECT)
+          return target.size
+        }
+        if (Object.prototype.hasOwnProperty.call(collectionMethods, property) && property in target) {
+          return (...args) => collectionMethods[property](target, receiver, ...args)
+        }
+        const result = Reflect.get(target, property, target)
+        return typeof result === 'function'
+          ? result.bind(target)
+          : result
+      }
+    }
+    // Map and Set methods of readonly views, called with the wrapped collection and the readonly view
+    const readonlyCollectionMethods = {
+      get (target, receiver, key) {
+        return readonly(target.get(key))
+      },
+      has (target, receiver, key) {
+        return target.has(key)
+      },
+      set (target, receiver, key) {
+        readonlyError(target, key)
+      },
+      add (target, receiver, value) {
+        readonlyError(target, value)
+      },
+      delete (target, receiver, key) {
+        readonlyError(target, key)
+      },
+      clear (target) {
+        readonlyError(target, undefined)
+      },
+      forEach (target, receiver, callback, thisArg) {
+        target.forEach((value, key) => callback.call(thisArg, readonly(value), readonly(key), receiver))
+      },
+      * keys (target) {
+        for (const key of target.keys()) {
+          yield readonly(key)
+        }
+      },
+      * values (target) {
+        for (const value of target.values()) {
+          yield readonly(value)
+        }
+      },
+      * entries (target) {
+        for (const [key, value] of target.entries()) {
+          yield [readonly(key), readonly(value)]
+        }
+      },
+      * [Symbol.iterator] (target) {
+        yield * (target instanceof Map
+          ? readonlyCollectionMethods.entries(target)
+          : readonlyCollectionMethods.values(target))
+      }
+    }
+    // readonly views wrap reactive proxies : reads are tracked, writes throw an error
+    this._handlerReadonly = {
+      get (target, property, receiver) {
+        if (target instanceof Map || target instanceof Set) {
+          if (property === 'size') {
+            return target.size
+          }
+          if (Object.prototype.hasOwnProperty.call(readonlyCollectionMethods, property) && property in target) {
+            return (...args) => readonlyCollectionMethods[property](target, receiver, ...args)
+          }
+        }
+        return readonly(Reflect.get(target, property, receiver))
+      },
+      set (target, property) {
+        readonlyError(target, property)
+      },
       deleteProperty (target, property) {
-        throw new Error('Cannot delete key ' + property + '. Adding or deleting keys is forbidden in state. This is because getters cache is not invalidate by adding/removing properties')
-        // trigger(target, property)
-        // return Reflect.deleteProperty(target, property)
+        readonlyError(target, property)
+      },
+      defineProperty (target, property) {
+        readonlyError(target, property)
+      },
+      setPrototypeOf (target) {
+        readonlyError(target, undefined)
       }
     }
-    this._state = this.proxify(state)
+    const oState = this.mountModuleStates(state, modules)
+    this._schema = schema
+    if (schema) {
+      checkSchema(schema)
+      this.throwSchemaError(validate(oState, schema))
+    }
+    this._state = this.proxify(oState, [])
     this.iterate(getters, (g, name) => {
       this.defineGetter(name, g)
     })
     this.iterate(mutations, (m, name) => {
       this.defineMutation(name, m)
     })
+    this.iterate(actions, (a, name) => {
+      this.defineAction(name, a)
+    })
+    this.iterate(modules, (m, name) => {
+      this.registerModule([name], m)
+    })
+    this._persistence = persistence
+      ? new Persistence(this, persistence)
+      : null
+    this._ready = this._persistence
+      ? this._persistence.restore().then(() => this)
+      : Promise.resolve(this)
+    // restore errors are emitted as "persistence:error" events : ready may be left unobserved
+    this._ready.catch(() => {})
+    plugins.forEach((plugin, i) => {
+      const sPluginType = this.getType(plugin)
+      if (sPluginType !== 'function') {
+        throw new TypeError(`Plugin #${i} must be a function ; "${sPluginType}" was given.`)
+      }
+      plugin(this)
+    })
   }
 
   static get CONSTS () {
@@ -188,256 +548,1793 @@ class Reactor {
   }
 
   createProxy (oTarget) {
-    if (this.isReactive(oTarget)) {
+    if (this.isProxy(oTarget)) {
       return oTarget
     }
-    return new Proxy(oTarget, this._handler)
+    return this.registerProxy(oTarget, new Proxy(oTarget, this._handler))
   }
 
   createArrayProxy (aTarget) {
-    if (this.isReactive(aTarget)) {
+    if (this.isProxy(aTarget)) {
       return aTarget
     }
-    return new Proxy(aTarget, this._handlerArray)
+    return this.registerProxy(aTarget, new Proxy(aTarget, this._handlerArray))
   }
 
-  isReactive (oTarget) {
-    return oTarget === null || oTarget === undefined || !!oTarget[SYMBOL_PROXY]
+  createCollectionProxy (cTarget) {
+    if (this.isProxy(cTarget)) {
+      return cTarget
+    }
+    return this.registerProxy(cTarget, new Proxy(cTarget, this._handlerCollection))
   }
 
-  get events () {
-    return this._events
+  /**
+   * Remembers the proxy made out of an object, so that proxifying this object again gives the same proxy
+   * @param original {object} object that has been proxified
+   * @param proxy {Proxy} proxy of its clone
+   * @returns {Proxy} proxy
+   */
+  registerOriginal (original, proxy) {
+    this._originalProxies.set(original, proxy)
+    return proxy
   }
 
-  get state () {
-    return this._state
+  /**
+   * Returns the proxy already made out of an object (or out of its clone), or the value itself
+   * @param value {*}
+   * @returns {*}
+   */
+  getKnownProxy (value) {
+    if (typeof value !== 'object' || value === null) {
+      return value
+    }
+    return this._proxies.get(value) || this._originalProxies.get(value) || value
   }
 
-  get getters () {
-    return this._getterProxies
+  /**
+   * Returns the object wrapped by a proxy of this reactor. Values inside this object are proxies.
+   * Modifying it is not reactive
+   * @param proxy {*}
+   * @returns {*} the wrapped object, or proxy itself if it is not a proxy of this reactor
+   */
+  toRaw (proxy) {
+    const target = (typeof proxy === 'object' && proxy !== null) ? this._targets.get(proxy) : undefined
+    return target === undefined ? proxy : target
   }
 
-  get mutations () {
-    return this._mutations
+  /**
+   * @param x {*}
+   * @returns {boolean} true if x is a proxy made by this reactor
+   */
+  isProxy (x) {
+    return (typeof x === 'object' && x !== null) && this._targets.has(x)
   }
 
-  get externals () {
-    const x = this._externals
-    return typeof x === 'function'
-      ? x()
-      : x
+  /**
+   * Keeps track of the proxy installed on a target
+   * @param target {object} proxy target
+   * @param proxy {Proxy}
+   * @returns {Proxy}
+   */
+  registerProxy (target, proxy) {
+    this._proxies.set(target, proxy)
+    this._targets.set(proxy, target)
+    return proxy
   }
 
   /**
-   * Creates an effect that push itself onto a stack
-   * in order to keep track of what's currently running.
-   * @param fn {function} code to run (should encapsulate a getter)
+   * Remembers where a reactive value is stored in state, in order to compute its paths.
+   * A value may be stored at several places : each place is a link { parent, key }.
+   * Links to places the value has left are dropped
+   * @param value {*} a value stored in state
+   * @param parent {object} proxy target of the object holding the value
+   * @param key {*} property name or map key
    */
-  createEffect (fn) {
-    const effect = () => {
-      this._runningEffects.push(effect)
-      try {
-        fn()
-      } catch (e) {
-        throw e
-      } finally {
-        this._runningEffects.pop()
+  linkParent (value, parent, key) {
+    const target = this._targets.get(value)
+    if (target) {
+      const oLink = {
+        parent,
+        key: this.normalizeKey(parent, key)
       }
+      const aLinks = (this._parents.get(target) || []).filter(link =>
+        (link.parent !== oLink.parent || link.key !== oLink.key) && this.isLinkAlive(target, link)
+      )
+      aLinks.push(oLink)
+      this._parents.set(target, aLinks)
     }
-    effect._depreg = fn._depreg
-    effect()
   }
 
   /**
-   * Object iteration with a callback
-   * @param oObject {object} object to be iterated
-   * @param f {function} function called back for each object property
+   * A link is alive as long as its parent still holds the value at its key ;
+   * the items of a Set are linked to it with the SYMBOL_SET_ITEM key
+   * @param target {object} proxy target of the value
+   * @param link {{ parent: object, key: * }}
+   * @returns {boolean}
    */
-  iterate (oObject, f) {
-    if (!oObject) {
-      return
-    }
-    for (const [x, ox] of Object.entries(oObject)) {
-      f(ox, x, oObject)
+  isLinkAlive (target, { parent, key }) {
+    const proxy = this._proxies.get(target)
+    if (key === SYMBOL_SET_ITEM) {
+      return parent.has(proxy)
     }
+    const value = parent instanceof Map ? parent.get(key) : parent[key]
+    return value === proxy
   }
 
   /**
-   * a property has been accessed for reading : register this target/property
-   * to all currently running getters.
-   * @param target {object} an object whose property is being accessed
-   * @param property {string} name of the property that is accessed
+   * Returns the path of a value about to be stored in target/key, when shallow paths are declared
+   * @param target {object|null} proxy target
+   * @param key {*}
+   * @returns {Array|null} null if there are no shallow paths, or if target is not known
    */
-  track (target, property) {
-    const sType = this.getType(target[property])
-    if (sType === 'function') {
-      return
+  getChildPath (target, key) {
+    if (this._shallowPaths.length === 0 || !target) {
+      return null
     }
-    // all runningEffects receive target/prop
-    this._runningEffects.forEach(re => {
-      const d = re._depreg
-      d.add(target, property)
-    })
+    const aPath = this.getPath(target)
+    aPath.push(this.normalizeKey(target, key))
+    return aPath
   }
 
   /**
-   * a property is being changed : all dependant getters
-   * are to be invalidated
-   * @param target {object} an object whose property is being modified
-   * @param property {string} name of the property that is modified
+   * @param path {Array}
+   * @returns {boolean} true if path matches one of the declared shallow paths
    */
-  trigger (target, property) {
-    // if no property specified, is getter dependent to target
-    // invalidate cache for all getters having target/property
-    const gd = this._getterData
-    this.iterate(this._getters, (g, name) => {
-      const gns = gd[name]
-      const depreg = gns._depreg
-      let bInvalidate = false
-      if (depreg.has(target, property)) {
-        bInvalidate = true
-      }
-      if (bInvalidate) {
-        this.trigger(gns, '_cache')
-        gns._invalidCache = true
+  isShallowPath (path) {
+    return this._shallowPaths.some(aPattern => aPattern.length === path.length &&
+      aPattern.every((k, i) => k === '*' || k === String(path[i]))
+    )
+  }
+
+  /**
+   * Returns a key as it appears in paths : array indexes are numbers
+   * @param target {object} proxy target holding the key
+   * @param key {*} property name or map key
+   * @returns {*}
+   */
+  normalizeKey (target, key) {
+    return Array.isArray(target) && isPositiveNumber(key) ? +key : key
+  }
+
+  /**
+   * Returns all paths of a proxy target in state : an object stored at several places has several paths.
+   * An object that has been removed from state has no path, neither has an object held by a Set
+   * (Set items are not addressable)
+   * @param target {object} proxy target
+   * @param seen {Set} targets of the path being built (prevents circular references from looping)
+   * @returns {Array<string|number>[]}
+   */
+  getPaths (target, seen = new Set()) {
+    if (target === this._targets.get(this._state)) {
+      return [[]]
+    }
+    const aLinks = this._parents.get(target)
+    if (!aLinks || seen.has(target)) {
+      return []
+    }
+    seen.add(target)
+    const aPaths = []
+    aLinks.forEach(link => {
+      if (link.key !== SYMBOL_SET_ITEM && this.isLinkAlive(target, link)) {
+        this.getPaths(link.parent, seen).forEach(aPath => {
+          aPaths.push([...aPath, link.key])
+        })
       }
     })
+    seen.delete(target)
+    return aPaths
   }
 
-  getType (x) {
-    const sType = typeof x
-    switch (sType.toLowerCase()) {
-      case 'object':
-        if (x === null) {
-          return 'null'
-        } else if (Array.isArray(x)) {
-          return 'array'
-        } else {
-          return 'object'
-        }
+  /**
+   * Returns the path of a proxy target in state ; for an object stored at several places, the oldest one
+   * @param target {object} proxy target
+   * @returns {Array<string|number>} empty if the object is not in state anymore
+   */
+  getPath (target) {
+    const [aPath = []] = this.getPaths(target)
+    return aPath
+  }
 
-      default:
-        return sType
+  /**
+   * In strict mode, throws an error if state is being written outside of a mutation
+   * @param target {object} proxy target being written
+   * @param key {*} property being written
+   */
+  checkStrictWrite (target, key) {
+    if (this._strict && this._mutationDepth === 0) {
+      const aPath = this.getPath(target)
+      if (key !== undefined) {
+        aPath.push(this.normalizeKey(target, key))
+      }
+      const sPath = aPath.map(k => String(k)).join('.')
+      throw new Error(`Cannot write "${sPath}" outside of a mutation : state is in strict mode.`)
     }
   }
 
   /**
-   * Turn an object into à reactive object
-   * @param oTarget
-   * @returns {Proxy}
+   * Validates a value being written in state against the schema, if any
+   * @param target {object} proxy target being written
+   * @param key {*} property being written
+   * @param value {*} value being written
    */
-  proxifyObject (oTarget) {
-    if (Object.isFrozen(oTarget) || Object.isSealed(oTarget) || this.isReactive(oTarget)) {
-      return oTarget
+  validateWrite (target, key, value) {
+    if (this._schema) {
+      this.getPaths(target).forEach(aPath => {
+        aPath.push(this.normalizeKey(target, key))
+        this.throwSchemaError(validate(value, getSubSchema(this._schema, aPath), aPath))
+      })
     }
-    const bArray = Array.isArray(oTarget)
-    Object.defineProperty(oTarget, SYMBOL_PROXY, {
-      value: true,
-      writable: false,
-      configurable: false,
-      enumerable: false
-    })
-    if (bArray) {
-      const aClone = oTarget.map(e => this.proxify(e))
-      return this.createArrayProxy(aClone)
-    } else {
-      const oClone = {}
-      Reflect.ownKeys(oTarget).forEach(key => {
-        if (typeof key === 'symbol') {
-          if (key !== SYMBOL_PROXY) {
-            oClone[key] = oTarget[key]
-          }
-        } else {
-          oClone[key] = this.proxify(oTarget[key])
+  }
+
+  /**
+   * Checks that a property being deleted is not required by the schema, if any
+   * @param target {object} proxy target
+   * @param key {*} property being deleted
+   */
+  validateDelete (target, key) {
+    if (this._schema) {
+      this.getPaths(target).forEach(aPath => {
+        const oSchema = getSubSchema(this._schema, aPath)
+        if (oSchema && Array.isArray(oSchema.required) && oSchema.required.includes(key)) {
+          this.throwSchemaError({ path: [...aPath, key], message: `required property "${key}" cannot be deleted` })
         }
       })
-      return this.createProxy(oClone)
     }
   }
 
   /**
-   * Installs a proxy on an object to make it reactive
-   * @param target {object|[]}
+   * Throws an error describing a schema violation, naming the path and the running mutation
+   * @param oError {object|null} violation { path, message }, as returned by validate()
    */
-  proxify (target) {
-    switch (this.getType(target)) {
-      case 'array':
-      case 'object': {
-        return this.proxifyObject(target)
-      }
-
-      default:
-        return target
+  throwSchemaError (oError) {
+    if (oError) {
+      const sPath = oError.path.map(k => String(k)).join('.')
+      const sMutation = this.currentMutation
+      const sWhere = sMutation === null ? '' : ` in mutation "${sMutation}"`
+      throw new Error(`Invalid value at "${sPath}"${sWhere} : ${oError.message}.`)
     }
   }
 
   /**
-   * defines a new getter
-   * @param name {string} name of the getter
-   * @param getter {string} getter function
+   * Runs a function that is allowed to write state, even in strict mode
+   * @param fn {function}
+   * @returns {*} result of fn
    */
-  defineGetter (name, getter) {
-    const sGetterType = this.getType(getter)
-    if (sGetterType !== 'function') {
-      throw new TypeError(`Getter "${name}" must be a function ; "${sGetterType}" was given.`)
-    }
-    this._getters[name] = getter
-    this._getterData[name] = {
-      _cache: undefined,
-      _invalidCache: true,
-      _name: name,
-      _depreg: new DependencyRegistry()
+  allowWrites (fn) {
+    ++this._mutationDepth
+    try {
+      return fn()
+    } finally {
+      --this._mutationDepth
     }
-    Object.defineProperty(
-      this._getterProxies,
-      name,
-      {
-        enumerable: true,
-        get: () => this.runGetter(name)
-      }
-    )
   }
 
-  defineMutation (name, mutation) {
-    switch (this._mutationParamOrder) {
-      case MUTATION_PARAM_ORDER_CONTEXT_PAYLOAD: {
-        this._mutations[name] = payload => {
-          const result = mutation({
-            state: this.state,
-            getters: this.getters,
-            externals: this.externals
-          }, payload)
-          this._events.emit('mutation', {
-            name,
-            payload
-          })
-          return result
-        }
-        break
-      }
+  /**
+   * Marks an object as raw : it will never be proxified, even when stored in state.
+   * Modifying the content of a raw object is not reactive
+   * @param obj {object}
+   * @returns {object} obj
+   */
+  static markRaw (obj) {
+    RAW_OBJECTS.add(obj)
+    return obj
+  }
 
-      case MUTATION_PARAM_ORDER_PAYLOAD_CONTEXT: {
-        this._mutations[name] = payload => {
-          const result = mutation(payload, {
-            state: this.state,
-            getters: this.getters,
-            externals: this.externals
-          })
-          this._events.emit('mutation', {
-            name,
-            payload
-          })
-          return result
-        }
-        break
-      }
+  /**
+   * @param obj {*}
+   * @returns {boolean} true if obj has been marked as raw
+   */
+  static isRaw (obj) {
+    return (typeof obj === 'object' && obj !== null) && RAW_OBJECTS.has(obj)
+  }
+
+  isReactive (oTarget) {
+    return oTarget === null || oTarget === undefined || this.isProxy(oTarget)
+  }
+
+  get events () {
+    return this._events
+  }
+
+  /**
+   * Returns a readonly view of an object : a deep proxy, whose reads are tracked like state reads,
+   * and throwing an error on any write or delete
+   * @param value {*} usually a part of state, or a getter result
+   * @returns {*} readonly view, or value itself if it is not an object
+   */
+  readonly (value) {
+    const sType = this.getType(value)
+    if (!['object', 'array', 'map', 'set'].includes(sType) || Object.isFrozen(value) || this.isReadonly(value)) {
+      return value
     }
+    let proxy = this._readonlyProxies.get(value)
+    if (!proxy) {
+      proxy = new Proxy(value, this._handlerReadonly)
+      this._readonlyProxies.set(value, proxy)
+      this._readonlyTargets.set(proxy, value)
+    }
+    return proxy
   }
 
   /**
-   * runs a getter
-   * @param name {string} getter name
-   * @return {*} result of the getter
+   * @param value {*}
+   * @returns {boolean} true if value is a readonly view
+   */
+  isReadonly (value) {
+    return (typeof value === 'object' && value !== null) && this._readonlyTargets.has(value)
+  }
+
+  /**
+   * @param target {object} object wrapped by a readonly view
+   * @param key {*} property being written
+   */
+  throwReadonlyError (target, key) {
+    const aPath = this.getPath(this._targets.get(target))
+    if (key !== undefined) {
+      aPath.push(this.normalizeKey(target, key))
+    }
+    const sPath = aPath.map(k => String(k)).join('.')
+    throw new Error(`Cannot write "${sPath}" : this is a readonly view.`)
+  }
+
+  /**
+   * @returns {object} a readonly view of state
+   */
+  get readonlyState () {
+    return this.readonly(this._state)
+  }
+
+  get state () {
+    return this._state
+  }
+
+  get getters () {
+    return this._getterProxies
+  }
+
+  get mutations () {
+    return this._mutations
+  }
+
+  /**
+   * @returns {History|null} mutation history, if enabled by config.history
+   */
+  get history () {
+    return this._history
+  }
+
+  /**
+   * @returns {Persistence|null} state persistence, if enabled by config.persistence
+   */
+  get persistence () {
+    return this._persistence
+  }
+
+  /**
+   * @returns {Promise<Reactor>} resolved once saved state has been restored
+   */
+  get ready () {
+    return this._ready
+  }
+
+  get actions () {
+    return this._actions
+  }
+
+  get externals () {
+    const x = this._externals
+    return typeof x === 'function'
+      ? x()
+      : x
+  }
+
+  /**
+   * Creates an effect that push itself onto a stack
+   * in order to keep track of what's currently running.
+   * @param fn {function} code to run (should encapsulate a getter)
+   */
+  createEffect (fn) {
+    const effect = () => {
+      this._runningEffects.push(effect)
+      try {
+        fn()
+      } catch (e) {
+        throw e
+      } finally {
+        this._runningEffects.pop()
+        if (this._batchDepth > 0) {
+          // dependencies have just been collected again : their next writes must not be coalesced
+          fn._depreg.forEach((target, property) => {
+            const properties = this._batchedTriggers.get(target)
+            if (properties) {
+              properties.delete(property)
+            }
+          })
+        }
+      }
+    }
+    effect._depreg = fn._depreg
+    effect()
+  }
+
+  /**
+   * Creates a reactive effect : fn is run right away, and every reactive property it reads is recorded.
+   * Each time one of these properties is modified, the effect is scheduled to run again.
+   * If a scheduler is specified, it is called instead of running the effect directly,
+   * and is then responsible for calling effect.run()
+   * @param fn {function} code to run
+   * @param scheduler {function|null} function called when the effect is to be run again
+   * @returns {{ run: function, stop: function }}
+   */
+  createReactiveEffect (fn, scheduler = null) {
+    const oEffect = {
+      _depreg: null,
+      _active: true,
+      scheduler,
+      run: () => {
+        let result
+        if (oEffect._active) {
+          oEffect._depreg.reset()
+          const pEffect = () => {
+            result = fn()
+          }
+          pEffect._depreg = oEffect._depreg
+          this.createEffect(pEffect)
+        }
+        return result
+      },
+      stop: () => {
+        oEffect._active = false
+        oEffect._depreg.reset()
+        this._effects.delete(oEffect)
+        this._pendingEffects.delete(oEffect)
+        this._revertedEffects.delete(oEffect)
+      }
+    }
+    oEffect._depreg = this.createDependencyRegistry(oEffect)
+    this._effects.add(oEffect)
+    return oEffect
+  }
+
+  /**
+   * Runs all effects that have been scheduled by trigger().
+   * An effect throwing an error does not prevent the others from running : the error is emitted
+   * as an "effect:error" event (or logged if no one listens to it), not thrown at the state write
+   */
+  flushEffects () {
+    if (this._flushingEffects) {
+      return
+    }
+    this._flushingEffects = true
+    try {
+      for (const effect of this._pendingEffects) {
+        this._pendingEffects.delete(effect)
+        const bReverted = this._revertedEffects.delete(effect)
+        try {
+          if (effect.scheduler && !bReverted) {
+            effect.scheduler()
+          } else {
+            effect.run()
+          }
+        } catch (error) {
+          this.reportEffectError(error)
+        }
+      }
+    } finally {
+      this._flushingEffects = false
+    }
+  }
+
+  /**
+   * Emits an "effect:error" event, or logs the error if no one listens to it
+   * @param error {Error}
+   */
+  reportEffectError (error) {
+    if (this._events.listenerCount('effect:error') > 0) {
+      this._events.emit('effect:error', { error })
+    } else {
+      console.error(error)
+    }
+  }
+
+  /**
+   * Reads every property of a reactive value, recursively, so that they are all tracked
+   * by the currently running effects
+   * @param value {*}
+   * @param seen {Set} already visited objects (prevents circular references from looping)
+   * @returns {*} value
+   */
+  traverse (value, seen = new Set()) {
+    const sType = this.getType(value)
+    if (!['object', 'array', 'map', 'set'].includes(sType) || seen.has(value)) {
+      return value
+    }
+    seen.add(value)
+    if (sType === 'array') {
+      for (let i = 0, l = value.length; i < l; ++i) {
+        this.traverse(value[i], seen)
+      }
+    } else if (sType === 'map' || sType === 'set') {
+      value.forEach(v => {
+        this.traverse(v, seen)
+      })
+    } else {
+      Object.keys(value).forEach(key => {
+        this.traverse(value[key], seen)
+      })
+    }
+    return value
+  }
+
+  /**
+   * Runs a function right away, and runs it again each time one of the reactive properties
+   * it has read (state or getters) is modified.
+   * @param fn {function} function (state, getters, externals)
+   * @returns {function} call this function to dispose of the effect
+   */
+  effect (fn) {
+    const oEffect = this.createReactiveEffect(() => fn(this.state, this.getters, this.externals))
+    oEffect.run()
+    return () => oEffect.stop()
+  }
+
+  /**
+   * Passes a state change to all opened journals.
+   * A change is { target, kind, key, had, oldValue, has, newValue } where
+   * kind is 'property', 'map' or 'set', had/has tell if the key existed before/after the change
+   * @param change {object}
+   */
+  recordChange (change) {
+    const aJournals = this._journals
+    for (let i = 0, l = aJournals.length; i < l; ++i) {
+      const journal = aJournals[i]
+      const pTransform = this._journalTransforms.get(journal)
+      journal.push(pTransform ? pTransform(change) : change)
+    }
+    if (this._events.listenerCount('change') > 0) {
+      // an object stored at several places has been changed at each of them
+      this.getPaths(change.target).forEach(aPath => {
+        this.emitEvent('change', this.describeChange(change, aPath))
+      })
+    }
+  }
+
+  /**
+   * Builds the payload of a "change" event : { path, type, oldValue, newValue, mutation } where
+   * type is 'set', 'add', 'delete' or 'length', and mutation is the name of the running mutation, or null.
+   * For a Set, path is the path of the Set, and oldValue/newValue is the removed/added item
+   * @param change {object} a change, as passed to recordChange
+   * @param aPath {Array} path of the changed object (see getPaths())
+   * @returns {object}
+   */
+  describeChange ({ target, kind, key, had, oldValue, has, newValue }, aPath) {
+    let sType
+    if (Array.isArray(target) && key === 'length') {
+      sType = 'length'
+    } else if (!has) {
+      sType = 'delete'
+    } else {
+      sType = had ? 'set' : 'add'
+    }
+    if (kind === 'set') {
+      return {
+        path: aPath,
+        type: sType,
+        oldValue: has ? undefined : key,
+        newValue: has ? key : undefined,
+        mutation: this.currentMutation
+      }
+    }
+    aPath.push(this.normalizeKey(target, key))
+    return {
+      path: aPath,
+      type: sType,
+      oldValue: had ? oldValue : undefined,
+      newValue: has ? newValue : undefined,
+      mutation: this.currentMutation
+    }
+  }
+
+  /**
+   * Name of the mutation being run, or null
+   * @returns {string|null}
+   */
+  get currentMutation () {
+    const aNames = this._mutationNames
+    return aNames.length > 0 ? aNames[aNames.length - 1] : null
+  }
+
+  /**
+   * Opens a journal : all state changes will be recorded in it until it is closed
+   * @param transform {function} if specified, each change is transformed by this function before being recorded
+   * @returns {object[]} journal
+   */
+  openJournal (transform = null) {
+    const aJournal = []
+    if (transform) {
+      this._journalTransforms.set(aJournal, transform)
+    }
+    this._journals.push(aJournal)
+    return aJournal
+  }
+
+  /**
+   * Stops recording state changes in a journal
+   * @param journal {object[]}
+   */
+  closeJournal (journal) {
+    const i = this._journals.indexOf(journal)
+    if (i >= 0) {
+      this._journals.splice(i, 1)
+    }
+  }
+
+  /**
+   * Writes a key through the target proxy, so that all dependencies are triggered
+   * @param target {object} proxy target
+   * @param kind {string} 'property', 'map' or 'set'
+   * @param key {*} property name, map key or set value
+   * @param bExists {boolean} if false, key is deleted
+   * @param value {*} value to write
+   */
+  writeChange (target, kind, key, bExists, value) {
+    const proxy = this._proxies.get(target)
+    switch (kind) {
+      case 'map': {
+        if (bExists) {
+          proxy.set(key, value)
+        } else {
+          proxy.delete(key)
+        }
+        break
+      }
+
+      case 'set': {
+        if (bExists) {
+          proxy.add(key)
+        } else {
+          proxy.delete(key)
+        }
+        break
+      }
+
+      default: {
+        if (bExists) {
+          proxy[key] = value
+        } else {
+          delete proxy[key]
+        }
+      }
+    }
+  }
+
+  /**
+   * Reverts recorded changes, last one first
+   * @param changes {object[]} journal
+   */
+  revertChanges (changes) {
+    this.allowWrites(() => this.deferEffects(() => {
+      for (let i = changes.length - 1; i >= 0; --i) {
+        const { target, kind, key, had, oldValue } = changes[i]
+        this.writeChange(target, kind, key, had, oldValue)
+      }
+    }))
+  }
+
+  /**
+   * Applies recorded changes again, first one first
+   * @param changes {object[]} journal
+   */
+  applyChanges (changes) {
+    this.allowWrites(() => this.deferEffects(() => {
+      changes.forEach(({ target, kind, key, has, newValue }) => {
+        this.writeChange(target, kind, key, has, newValue)
+      })
+    }))
+  }
+
+  /**
+   * Runs a function, and returns the state changes it has made, as a JSON patch (RFC 6902)
+   * @param fn {function}
+   * @returns {object[]} list of patch operations
+   */
+  recordPatch (fn) {
+    const aJournal = this.openJournal(change => this.changeToOperations(change))
+    try {
+      fn()
+    } finally {
+      this.closeJournal(aJournal)
+    }
+    const aOperations = []
+    aJournal.forEach(ops => {
+      aOperations.push(...ops)
+    })
+    return aOperations
+  }
+
+  /**
+   * Converts a state change into JSON patch operations : one per place the changed object is stored at
+   * (none if it is not in state anymore).
+   * Array length changes are implied by other operations, no operation is returned for them.
+   * A Set is not addressable by JSON pointers : a Set change replaces the whole Set,
+   * and so does a change of an object held by a Set
+   * @param change {object} a change, as passed to recordChange
+   * @returns {object[]}
+   */
+  changeToOperations ({ target, kind, key, had, has, newValue }) {
+    if (Array.isArray(target) && key === 'length') {
+      return []
+    }
+    const aOperations = this.getPaths(target).map(aPath => {
+      if (kind === 'set') {
+        return { op: 'replace', path: formatPointer(aPath), value: this.toPlain(target) }
+      }
+      aPath.push(this.normalizeKey(target, key))
+      const path = formatPointer(aPath)
+      if (!has) {
+        return { op: 'remove', path }
+      }
+      return { op: had ? 'replace' : 'add', path, value: this.toPlain(newValue) }
+    })
+    this.getEnclosingSets(target).forEach(set => {
+      this.getPaths(set).forEach(aPath => {
+        aOperations.push({ op: 'replace', path: formatPointer(aPath), value: this.toPlain(set) })
+      })
+    })
+    return aOperations
+  }
+
+  /**
+   * Returns the addressable Sets holding a proxy target, directly or through other objects :
+   * the nearest Set that has a path, on each way up to the state root
+   * @param target {object} proxy target
+   * @returns {Set[]} proxy targets of the Sets
+   */
+  getEnclosingSets (target) {
+    const sSets = new Set()
+    const seen = new Set()
+    const visit = oTarget => {
+      const aLinks = this._parents.get(oTarget)
+      if (!aLinks || seen.has(oTarget)) {
+        return
+      }
+      seen.add(oTarget)
+      aLinks.forEach(link => {
+        if (!this.isLinkAlive(oTarget, link)) {
+          return
+        }
+        if (link.key === SYMBOL_SET_ITEM && this.getPaths(link.parent).length > 0) {
+          sSets.add(link.parent)
+        } else {
+          visit(link.parent)
+        }
+      })
+    }
+    visit(target)
+    return [...sSets]
+  }
+
+  /**
+   * Applies a JSON patch (RFC 6902) to the state, through the reactive proxies.
+   * The patch is applied as a batch ; if an operation fails, all changes are reverted and an error is thrown
+   * @param ops {object[]} list of patch operations
+   */
+  applyPatch (ops) {
+    const sOpsType = this.getType(ops)
+    if (sOpsType !== 'array') {
+      throw new TypeError(`Patch must be an array ; "${sOpsType}" was given.`)
+    }
+    this.allowWrites(() => this.batch(() => this.runAtomic(() => {
+      ops.forEach((operation, i) => {
+        try {
+          this.applyOperation(operation)
+        } catch (e) {
+          e.message = `Patch operation #${i} : ${e.message}`
+          throw e
+        }
+      })
+    })))
+  }
+
+  /**
+   * Applies one JSON patch operation to the state
+   * @param operation {object} { op, path, value, from }
+   */
+  applyOperation (operation) {
+    const { op, path, from } = operation
+    if (!PATCH_OPERATIONS.includes(op)) {
+      throw new Error(`"${op}" is not a valid operation.`)
+    }
+    const bHasValue = 'value' in operation
+    if (['add', 'replace', 'test'].includes(op) && !bHasValue) {
+      throw new Error(`"${op}" operation requires a value.`)
+    }
+    switch (op) {
+      case 'add': {
+        this.addPointerValue(path, this.toPlain(operation.value))
+        break
+      }
+
+      case 'remove': {
+        this.removePointerValue(path)
+        break
+      }
+
+      case 'replace': {
+        this.removePointerValue(path, true)
+        this.addPointerValue(path, this.toPlain(operation.value), true)
+        break
+      }
+
+      case 'move': {
+        if (path.startsWith(from + '/')) {
+          throw new Error(`Cannot move "${from}" into one of its children.`)
+        }
+        const value = this.toPlain(this.getPointerValue(from))
+        this.removePointerValue(from)
+        this.addPointerValue(path, value)
+        break
+      }
+
+      case 'copy': {
+        this.addPointerValue(path, this.toPlain(this.getPointerValue(from)))
+        break
+      }
+
+      case 'test': {
+        if (!isDeepEqual(this.toPlain(this.getPointerValue(path)), operation.value)) {
+          throw new Error(`Test failed : "${path}" does not have the expected value.`)
+        }
+        break
+      }
+    }
+  }
+
+  /**
+   * Resolves a JSON pointer to the reactive container holding the designated value
+   * @param pointer {string}
+   * @returns {{ container: object, key: string }} container is null for the root pointer
+   */
+  resolvePointer (pointer) {
+    const aPath = parsePointer(pointer)
+    if (aPath.length === 0) {
+      return { container: null, key: '' }
+    }
+    const key = aPath.pop()
+    const container = aPath.reduce((value, k, i) => {
+      if (!this.hasPointerKey(value, k)) {
+        throw new Error(`Path "${formatPointer(aPath.slice(0, i + 1))}" does not exist.`)
+      }
+      return this.getType(value) === 'map' ? value.get(k) : value[k]
+    }, this._state)
+    const sContainerType = this.getType(container)
+    if (!['object', 'array', 'map'].includes(sContainerType)) {
+      throw new Error(`Path "${formatPointer(aPath)}" is not an object, an array or a map.`)
+    }
+    return { container, key }
+  }
+
+  /**
+   * Returns true if a reactive container has the key designated by a JSON pointer item
+   * @param container {*}
+   * @param key {string}
+   * @returns {boolean}
+   */
+  hasPointerKey (container, key) {
+    switch (this.getType(container)) {
+      case 'array': {
+        return isArrayIndex(key) && +key < container.length
+      }
+
+      case 'map': {
+        return container.has(key)
+      }
+
+      case 'object': {
+        return Object.prototype.hasOwnProperty.call(container, key)
+      }
+
+      default: {
+        return false
+      }
+    }
+  }
+
+  /**
+   * Returns the reactive value designated by a JSON pointer
+   * @param pointer {string}
+   * @returns {*}
+   */
+  getPointerValue (pointer) {
+    const { container, key } = this.resolvePointer(pointer)
+    if (container === null) {
+      return this._state
+    }
+    if (!this.hasPointerKey(container, key)) {
+      throw new Error(`Path "${pointer}" does not exist.`)
+    }
+    return this.getType(container) === 'map' ? container.get(key) : container[key]
+  }
+
+  /**
+   * Adds a value at the location designated by a JSON pointer.
+   * In an array, the value is inserted, "-" appends the value
+   * @param pointer {string}
+   * @param value {*}
+   * @param bReplace {boolean} if true, array items are replaced instead of being inserted
+   */
+  addPointerValue (pointer, value, bReplace = false) {
+    const { container, key } = this.resolvePointer(pointer)
+    if (container === null) {
+      this.replaceState(value)
+      return
+    }
+    switch (this.getType(container)) {
+      case 'array': {
+        if (key === '-') {
+          container.push(value)
+        } else if (isArrayIndex(key) && +key <= container.length) {
+          if (bReplace) {
+            container[+key] = value
+          } else {
+            container.splice(+key, 0, value)
+          }
+        } else {
+          throw new Error(`Path "${pointer}" is not a valid array index.`)
+        }
+        break
+      }
+
+      case 'map': {
+        container.set(key, value)
+        break
+      }
+
+      default: {
+        container[key] = value
+      }
+    }
+  }
+
+  /**
+   * Removes the value designated by a JSON pointer ; array items are spliced out
+   * @param pointer {string}
+   * @param bCheckOnly {boolean} if true, only checks that the value exists
+   */
+  removePointerValue (pointer, bCheckOnly = false) {
+    const { container, key } = this.resolvePointer(pointer)
+    if (container === null) {
+      if (bCheckOnly) {
+        return
+      }
+      throw new Error('Cannot remove the whole state.')
+    }
+    if (!this.hasPointerKey(container, key)) {
+      throw new Error(`Path "${pointer}" does not exist.`)
+    }
+    if (bCheckOnly) {
+      return
+    }
+    switch (this.getType(container)) {
+      case 'array': {
+        container.splice(+key, 1)
+        break
+      }
+
+      case 'map': {
+        container.delete(key)
+        break
+      }
+
+      default: {
+        delete container[key]
+      }
+    }
+  }
+
+  /**
+   * Returns a deep plain copy of a reactive value : proxies are not copied
+   * @param value {*}
+   * @param seen {Map} already copied objects (keeps circular references)
+   * @returns {*}
+   */
+  toPlain (value, seen = new Map()) {
+    const sType = this.getType(value)
+    if (!['object', 'array', 'map', 'set'].includes(sType)) {
+      return value
+    }
+    if (seen.has(value)) {
+      return seen.get(value)
+    }
+    switch (sType) {
+      case 'array': {
+        const aCopy = []
+        seen.set(value, aCopy)
+        for (let i = 0, l = value.length; i < l; ++i) {
+          aCopy.push(this.toPlain(value[i], seen))
+        }
+        return aCopy
+      }
+
+      case 'map': {
+        const mCopy = new Map()
+        seen.set(value, mCopy)
+        value.forEach((v, key) => {
+          mCopy.set(key, this.toPlain(v, seen))
+        })
+        return mCopy
+      }
+
+      case 'set': {
+        const sCopy = new Set()
+        seen.set(value, sCopy)
+        value.forEach(v => {
+          sCopy.add(this.toPlain(v, seen))
+        })
+        return sCopy
+      }
+
+      default: {
+        const oCopy = {}
+        seen.set(value, oCopy)
+        Reflect.ownKeys(value).forEach(key => {
+          oCopy[key] = this.toPlain(value[key], seen)
+        })
+        return oCopy
+      }
+    }
+  }
+
+  /**
+   * Returns a deep plain copy of the state, suitable for serialisation
+   * @returns {object}
+   */
+  snapshot () {
+    return this.toPlain(this._state)
+  }
+
+  /**
+   * Replaces the whole state content by a new one (for example a previously saved snapshot).
+   * The state object itself is kept, only its properties are replaced. All getters are invalidated.
+   * @param state {object} new state
+   */
+  replaceState (state) {
+    this.allowWrites(() => this.deferEffects(() => {
+      const oState = this._state
+      Reflect.ownKeys(oState).forEach(key => {
+        if (!(key in state)) {
+          delete oState[key]
+        }
+      })
+      Reflect.ownKeys(state).forEach(key => {
+        oState[key] = state[key]
+      })
+      this.invalidateGetters()
+    }))
+  }
+
+  /**
+   * Describes what a getter, or a parameterised getter entry, has read when last computed
+   * @param dependent {object} getter data or parameterised getter entry
+   * @returns {{ dependencies: string[], getters: string[], invalidCache: boolean, computedAt: number|null }}
+   * dependencies are state paths, "*" standing for the keys of an object or the items of a collection ;
+   * getters are the names of the getters it has read
+   */
+  inspectDependent (dependent) {
+    const aDependencies = new Set()
+    const aGetters = new Set()
+    dependent._depreg.forEach((target, property) => {
+      if (property === '_cache' && target._depreg instanceof DependencyRegistry) {
+        aGetters.add(target._name)
+        return
+      }
+      this.getPaths(target).forEach(aPath => {
+        if (property === SYMBOL_BASE_OBJECT) {
+          aPath.push('*')
+        } else if (!this.isCollection(target) || this.getType(target) === 'map') {
+          aPath.push(this.normalizeKey(target, property))
+        } else {
+          // Set items are not addressable by path
+          aPath.push('*')
+        }
+        aDependencies.add(aPath.map(k => String(k)).join('.'))
+      })
+    })
+    return {
+      dependencies: [...aDependencies],
+      getters: [...aGetters],
+      invalidCache: dependent._invalidCache,
+      computedAt: dependent._computedAt
+    }
+  }
+
+  /**
+   * Returns the dependency graph of all getters : for each getter, the state paths and the getters
+   * it has read when last computed, and the status of its cache.
+   * For a parameterised getter, each cached argument tuple is described in "entries"
+   * @returns {object} getter name => { name, dependencies, getters, invalidCache, computedAt, entries }
+   */
+  inspect () {
+    const oGraph = {}
+    this.iterate(this._getterData, (gns, name) => {
+      const oGetter = {
+        name,
+        ...this.inspectDependent(gns)
+      }
+      oGetter.entries = gns._entries
+        ? [...gns._entries.values()].map(entry => ({
+            args: entry._args.map(ref => ref.deref()),
+            ...this.inspectDependent(entry)
+          }))
+        : []
+      oGraph[name] = oGetter
+    })
+    return oGraph
+  }
+
+  /**
+   * Invalidates the cache of all getters
+   */
+  invalidateGetters () {
+    this.iterate(this._getterData, gns => {
+      this.trigger(gns, '_cache')
+      gns._invalidCache = true
+      this.dropGetterEntries(gns)
+    })
+  }
+
+  /**
+   * Watches a getter, or a function reading state and getters. Each time the watched value changes,
+   * the callback is called with the new value and the old value
+   * @param source {string|function} name of a getter, or function (state, getters, externals) => value
+   * @param callback {function} function (newValue, oldValue)
+   * @param immediate {boolean} if true, callback is called right away with the current value
+   * @param deep {boolean} if true, changes deep inside the watched value will also call the callback
+   * @param equals {function} custom equality check (a, b) => boolean ; default is Object.is
+   * @returns {function} call this function to stop watching
+   */
+  watch (source, callback, { immediate = false, deep = false, equals = undefined } = {}) {
+    let pSource
+    const sSourceType = this.getType(source)
+    switch (sSourceType) {
+      case 'string': {
+        if (!(source in this._getters)) {
+          throw new Error(`Cannot watch getter "${source}" : this getter is not defined.`)
+        }
+        pSource = () => this.getters[source]
+        break
+      }
+
+      case 'function': {
+        pSource = () => source(this.state, this.getters, this.externals)
+        break
+      }
+
+      default: {
+        throw new TypeError(`Watch source must be a getter name or a function ; "${sSourceType}" was given.`)
+      }
+    }
+    let oldValue
+    const oEffect = this.createReactiveEffect(
+      () => deep ? this.traverse(pSource()) : pSource(),
+      () => {
+        const newValue = oEffect.run()
+        const bChanged = equals
+          ? !equals(newValue, oldValue)
+          : deep || !Object.is(newValue, oldValue)
+        if (bChanged) {
+          const previousValue = oldValue
+          oldValue = newValue
+          callback(newValue, previousValue)
+        }
+      }
+    )
+    oldValue = oEffect.run()
+    if (immediate) {
+      callback(oldValue, undefined)
+    }
+    return () => oEffect.stop()
+  }
+
+  /**
+   * Object iteration with a callback
+   * @param oObject {object} object to be iterated
+   * @param f {function} function called back for each object property
+   */
+  iterate (oObject, f) {
+    if (!oObject) {
+      return
+    }
+    for (const [x, ox] of Object.entries(oObject)) {
+      f(ox, x, oObject)
+    }
+  }
+
+  /**
+   * a property has been accessed for reading : register this target/property
+   * to all currently running getters.
+   * @param target {object} an object whose property is being accessed
+   * @param property {string} name of the property that is accessed
+   */
+  track (target, property) {
+    // Map and Set keys are not properties of the collection
+    if (!this.isCollection(target) && this.getType(target[property]) === 'function') {
+      return
+    }
+    // all runningEffects receive target/prop
+    this._runningEffects.forEach(re => {
+      const d = re._depreg
+      d.add(target, property)
+    })
+  }
+
+  /**
+   * a property is being changed : all dependant getters
+   * are to be invalidated
+   * @param target {object} an object whose property is being modified
+   * @param property {string} name of the property that is modified
+   */
+  trigger (target, property) {
+    if (this._batchDepth > 0) {
+      // inside a batch, a target/property is triggered only once
+      let properties = this._batchedTriggers.get(target)
+      if (!properties) {
+        properties = new Set()
+        this._batchedTriggers.set(target, properties)
+      }
+      if (properties.has(property)) {
+        return
+      }
+      properties.add(property)
+    }
+    const dependents = this._dependencyIndex.get(target, property)
+    if (!dependents || dependents.size === 0) {
+      return
+    }
+    this.deferEffects(() => {
+      // dependents may change while being invalidated
+      Array.from(dependents).forEach(dependent => {
+        this.invalidateDependent(dependent)
+      })
+    })
+  }
+
+  /**
+   * A dependency has been modified : getters (and parameterised getter entries) are invalidated,
+   * effects are scheduled to run again.
+   * @param dependent {object} getter data, parameterised getter entry or effect
+   */
+  invalidateDependent (dependent) {
+    if (dependent.run) {
+      // an effect currently running is not scheduled : it would loop forever
+      if (!this._runningEffects.some(re => re._depreg === dependent._depreg)) {
+        this._pendingEffects.add(dependent)
+        this._revertedEffects.delete(dependent)
+      }
+    } else if (!dependent._invalidCache) {
+      // an invalid getter has not been read since it was invalidated :
+      // its own dependents have already been notified
+      this.trigger(dependent, '_cache')
+      dependent._invalidCache = true
+    }
+  }
+
+  /**
+   * Runs a function ; effects scheduled while it runs are only run once it is over
+   * @param fn {function}
+   * @returns {*} result of fn
+   */
+  deferEffects (fn) {
+    ++this._triggerDepth
+    try {
+      return fn()
+    } finally {
+      --this._triggerDepth
+      // effects are run once all getters have been invalidated
+      if (this._triggerDepth === 0) {
+        this.flushEffects()
+      }
+    }
+  }
+
+  getType (x) {
+    const sType = typeof x
+    switch (sType.toLowerCase()) {
+      case 'object':
+        if (x === null) {
+          return 'null'
+        } else if (Array.isArray(x)) {
+          return 'array'
+        } else if (x instanceof Map) {
+          return 'map'
+        } else if (x instanceof Set) {
+          return 'set'
+        } else {
+          return 'object'
+        }
+
+      default:
+        return sType
+    }
+  }
+
+  /**
+   * Returns true if x is a Map or a Set
+   * @param x {*}
+   * @returns {boolean}
+   */
+  isCollection (x) {
+    return x instanceof Map || x instanceof Set
+  }
+
+  /**
+   * Turn an object into à reactive object
+   * @param oTarget {object}
+   * @param path {Array|null} path where the object is to be stored in state, null if unknown
+   * @returns {object} proxy
+   */
+  proxifyObject (oTarget, path = null) {
+    if (this.isProxy(oTarget)) {
+      return oTarget
+    }
+    // an object already proxified always gives the same proxy ;
+    // proxified objects are only known by this reactor, they are left untouched
+    const oKnownProxy = this.getKnownProxy(oTarget)
+    if (oKnownProxy !== oTarget) {
+      return oKnownProxy
+    }
+    if (Object.isFrozen(oTarget) || Object.isSealed(oTarget)) {
+      return oTarget
+    }
+    const sType = this.getType(oTarget)
+    // the proxy is registered before the clone is filled, so that circular references get the same proxy
+    if (sType === 'array') {
+      const aClone = []
+      const proxy = this.registerOriginal(oTarget, this.createArrayProxy(aClone))
+      oTarget.forEach((e, i) => {
+        aClone[i] = this.proxify(e, path && [...path, i])
+        this.linkParent(aClone[i], aClone, i)
+      })
+      aClone.length = oTarget.length
+      return proxy
+    } else if (sType === 'map') {
+      const mClone = new Map()
+      const proxy = this.registerOriginal(oTarget, this.createCollectionProxy(mClone))
+      oTarget.forEach((value, key) => {
+        mClone.set(key, this.proxify(value, path && [...path, key]))
+        this.linkParent(mClone.get(key), mClone, key)
+      })
+      return proxy
+    } else if (sType === 'set') {
+      const sClone = new Set()
+      const proxy = this.registerOriginal(oTarget, this.createCollectionProxy(sClone))
+      oTarget.forEach(value => {
+        const newValue = this.proxify(value)
+        sClone.add(newValue)
+        this.linkParent(newValue, sClone, SYMBOL_SET_ITEM)
+      })
+      return proxy
+    } else {
+      const oClone = {}
+      const proxy = this.registerOriginal(oTarget, this.createProxy(oClone))
+      Reflect.ownKeys(oTarget).forEach(key => {
+        if (typeof key === 'symbol') {
+          oClone[key] = oTarget[key]
+        } else {
+          oClone[key] = this.proxify(oTarget[key], path && [...path, key])
+          this.linkParent(oClone[key], oClone, key)
+        }
+      })
+      return proxy
+    }
+  }
+
+  /**
+   * Returns a reactive version of a value ; raw objects and values stored under shallow paths are left unchanged
+   * @param target {*}
+   * @param path {Array|null} path where the value is to be stored in state, null if unknown
+   * @returns {*}
+   */
+  proxify (target, path = null) {
+    if (this._shallowPaths.length === 0) {
+      path = null
+    } else if (path && this.isShallowPath(path)) {
+      return target
+    }
+    switch (this.getType(target)) {
+      case 'array':
+      case 'map':
+      case 'set':
+      case 'object': {
+        if (RAW_OBJECTS.has(target)) {
+          return target
+        }
+        return this.proxifyObject(target, path)
+      }
+
+      default:
+        return target
+    }
+  }
+
+  /**
+   * defines a new getter
+   * @param name {string} name of the getter
+   * @param getter {string} getter function
+   */
+  defineGetter (name, getter) {
+    const sGetterType = this.getType(getter)
+    if (sGetterType !== 'function') {
+      throw new TypeError(`Getter "${name}" must be a function ; "${sGetterType}" was given.`)
+    }
+    if (name in this._getterData) {
+      // getter is being redefined : previous dependencies are dropped
+      const gnsPrev = this._getterData[name]
+      gnsPrev._depreg.reset()
+      this.dropGetterEntries(gnsPrev)
+    }
+    this._getters[name] = getter
+    const gns = this._getterData[name] = {
+      _cache: undefined,
+      _invalidCache: true,
+      _name: name,
+      _depreg: null,
+      _entries: null,
+      _computedAt: null
+    }
+    gns._depreg = this.createDependencyRegistry(gns)
+    Object.defineProperty(
+      this._getterProxies,
+      name,
+      {
+        enumerable: true,
+        configurable: true,
+        get: () => this._readonlyGetters
+          ? this.readonly(this.runGetter(name))
+          : this.runGetter(name)
+      }
+    )
+  }
+
+  /**
+   * defines a new mutation
+   * @param name {string} name of the mutation
+   * @param mutation {function} mutation function
+   * @param getContext {function} returns the context passed to the mutation
+   */
+  defineMutation (name, mutation, getContext = () => ({
+    state: this.state,
+    getters: this.getters,
+    externals: this.externals
+  })) {
+    const pInvoke = this._mutationParamOrder === MUTATION_PARAM_ORDER_CONTEXT_PAYLOAD
+      ? (payload, context) => mutation(context, payload)
+      : (payload, context) => mutation(payload, context)
+    this._mutations[name] = payload => this.runMutation(name, payload, getContext(), pInvoke)
+  }
+
+  /**
+   * runs a mutation function through all middlewares, and emits the "mutation" event
+   * @param name {string} name of the mutation
+   * @param payload {*} mutation payload
+   * @param context {object} mutation context
+   * @param pInvoke {function} calls the mutation function with the payload and the context
+   * @returns {*} result of the mutation
+   */
+  runMutation (name, payload, context, pInvoke) {
+    const ctx = {
+      name,
+      payload,
+      context
+    }
+    return this.runMiddlewares(ctx, () => {
+      const pMutate = this._atomicMutations
+        ? () => this.runAtomic(() => pInvoke(ctx.payload, ctx.context))
+        : () => pInvoke(ctx.payload, ctx.context)
+      const pRun = () => {
+        this._mutationNames.push(name)
+        let result
+        try {
+          result = this.allowWrites(() => this._history
+            ? this._history.record(pMutate)
+            : pMutate()
+          )
+        } finally {
+          this._mutationNames.pop()
+        }
+        this.emitEvent('mutation', {
+          name,
+          payload: ctx.payload
+        })
+        return result
+      }
+      // effects and watchers are run once the whole mutation is over
+      return this.isBatchedMutation(name)
+        ? this.batch(pRun)
+        : this.deferEffects(pRun)
+    })
+  }
+
+  /**
+   * Returns true if a mutation is to be run as a batch (see config.batchMutations)
+   * @param name {string} name of the mutation
+   * @returns {boolean}
+   */
+  isBatchedMutation (name) {
+    return Array.isArray(this._batchMutations)
+      ? this._batchMutations.includes(name)
+      : this._batchMutations
+  }
+
+  /**
+   * Registers a mutation middleware : a function (ctx, next) called each time a mutation is run,
+   * where ctx is { name, payload, context }.
+   * The middleware may change ctx.payload, and must call next() to run the mutation (or the next middleware) ;
+   * next() returns the mutation result.
+   * @param middleware {function}
+   * @returns {function} call this function to unregister the middleware
+   */
+  use (middleware) {
+    const sMiddlewareType = this.getType(middleware)
+    if (sMiddlewareType !== 'function') {
+      throw new TypeError(`Middleware must be a function ; "${sMiddlewareType}" was given.`)
+    }
+    this._middlewares.push(middleware)
+    return () => {
+      const i = this._middlewares.indexOf(middleware)
+      if (i >= 0) {
+        this._middlewares.splice(i, 1)
+      }
+    }
+  }
+
+  /**
+   * Runs all middlewares, the last one calling fn
+   * @param ctx {object} middleware context { name, payload, context }
+   * @param fn {function} runs the mutation
+   * @returns {*} result of the mutation, or whatever a middleware returned
+   */
+  runMiddlewares (ctx, fn) {
+    const aMiddlewares = this._middlewares.slice(0)
+    let nLastIndex = -1
+    const next = i => {
+      if (i <= nLastIndex) {
+        throw new Error(`Mutation "${ctx.name}" : next() has been called more than once by the same middleware.`)
+      }
+      nLastIndex = i
+      return i < aMiddlewares.length
+        ? aMiddlewares[i](ctx, () => next(i + 1))
+        : fn()
+    }
+    return next(0)
+  }
+
+  /**
+   * Runs a function ; if it throws, all state changes it has made are reverted before the error is rethrown.
+   * Reverted changes are also removed from the other opened journals, as if they had never been made.
+   * Effects are run once fn is over : watchers are not notified of reverted changes
+   * @param fn {function}
+   * @returns {*} result of fn
+   */
+  runAtomic (fn) {
+    return this.deferEffects(() => {
+      const aPendingEffects = new Set(this._pendingEffects)
+      const aJournal = this.openJournal()
+      try {
+        return fn()
+      } catch (e) {
+        this.closeJournal(aJournal)
+        const aOuterJournals = this._journals
+        this._journals = []
+        try {
+          this.revertChanges(aJournal)
+        } finally {
+          this._journals = aOuterJournals
+        }
+        aOuterJournals.forEach(journal => {
+          journal.splice(journal.length - aJournal.length)
+        })
+        // these effects still have to read state again, to track what they depend on
+        this._pendingEffects.forEach(effect => {
+          if (!aPendingEffects.has(effect)) {
+            this._revertedEffects.add(effect)
+          }
+        })
+        throw e
+      } finally {
+        this.closeJournal(aJournal)
+      }
+    })
+  }
+
+  /**
+   * Emits an event ; inside a batch, events are held back until the outermost batch is over
+   * @param name {string} event name
+   * @param payload {object} event payload
+   */
+  emitEvent (name, payload) {
+    if (this._batchDepth > 0) {
+      this._pendingEvents.push({ name, payload })
+    } else {
+      this._events.emit(name, payload)
+    }
+  }
+
+  /**
+   * Runs a function as a batch : repeated writes of the same property only invalidate getters once,
+   * effects are run and events are emitted once the outermost batch is over.
+   * @param fn {function}
+   * @returns {*} result of fn
+   */
+  batch (fn) {
+    ++this._batchDepth
+    ++this._triggerDepth
+    try {
+      return fn()
+    } finally {
+      --this._triggerDepth
+      --this._batchDepth
+      if (this._batchDepth === 0) {
+        this._batchedTriggers = new WeakMap()
+        if (this._triggerDepth === 0) {
+          this.flushEffects()
+        }
+        const aEvents = this._pendingEvents
+        this._pendingEvents = []
+        aEvents.forEach(({ name, payload }) => {
+          this._events.emit(name, payload)
+        })
+      }
+    }
+  }
+
+  /**
+   * defines a new action.
+   * An action is an asynchronous function, receiving a context { state, getters, commit, dispatch, externals }
+   * and a payload (in the order specified by mutationParamOrder)
+   * @param name {string} name of the action
+   * @param action {function} action function
+   * @param getContext {function} returns the context passed to the action
+   */
+  defineAction (name, action, getContext = () => ({
+    state: this.state,
+    getters: this.getters,
+    commit: (sMutation, p) => this.commit(sMutation, p),
+    dispatch: (sAction, p) => this.dispatch(sAction, p),
+    externals: this.externals
+  })) {
+    const sActionType = this.getType(action)
+    if (sActionType !== 'function') {
+      throw new TypeError(`Action "${name}" must be a function ; "${sActionType}" was given.`)
+    }
+    const pInvoke = this._mutationParamOrder === MUTATION_PARAM_ORDER_CONTEXT_PAYLOAD
+      ? (context, payload) => action(context, payload)
+      : (context, payload) => action(payload, context)
+    this._actions[name] = async payload => {
+      this._events.emit('action:start', {
+        name,
+        payload
+      })
+      try {
+        const result = await pInvoke(getContext(), payload)
+        this._events.emit('action:end', {
+          name,
+          payload
+        })
+        return result
+      } catch (e) {
+        this._events.emit('action:error', {
+          name,
+          payload,
+          error: e
+        })
+        throw e
+      }
+    }
+  }
+
+  /**
+   * Builds the initial state, with all module states mounted as properties
+   * The given state object is not modified
+   * @param state {object} root state
+   * @param modules {object} modules
+   * @returns {object}
+   */
+  mountModuleStates (state, modules) {
+    if (!modules || Object.keys(modules).length === 0) {
+      return state
+    }
+    const oState = { ...state }
+    this.iterate(modules, (m, name) => {
+      if (name in oState) {
+        throw new Error(`Cannot mount module "${name}" : state already has a property "${name}".`)
+      }
+      const oModuleState = typeof m.state === 'function' ? m.state() : m.state
+      oState[name] = this.mountModuleStates(oModuleState || {}, m.modules)
+    })
+    return oState
+  }
+
+  /**
+   * Defines getters, mutations and actions of a module, and of all its sub-modules.
+   * They are all named after the module path : "module/submodule/name"
+   * Module getters are called with (state, getters, externals, rootState, rootGetters)
+   * where state and getters are local to the module.
+   * @param path {string[]} module path
+   * @param module {object} module definition { state, getters, mutations, actions, modules }
+   */
+  registerModule (path, { getters = {}, mutations = {}, actions = {}, modules = {} }) {
+    const sNamespace = path.join('/') + '/'
+    const getLocalState = () => path.reduce((state, key) => state[key], this.state)
+    const oLocalGetters = {}
+    const commit = (sMutation, p) => this.commit(sNamespace + sMutation, p)
+    const dispatch = (sAction, p) => this.dispatch(sNamespace + sAction, p)
+    this.iterate(getters, (g, name) => {
+      const sName = sNamespace + name
+      this.defineGetter(sName, typeof g === 'function'
+        ? (state, getters, externals) => g(getLocalState(), oLocalGetters, externals, state, getters)
+        : g
+      )
+      Object.defineProperty(oLocalGetters, name, {
+        enumerable: true,
+        get: () => this.getters[sName]
+      })
+    })
+    this.iterate(mutations, (m, name) => {
+      this.defineMutation(sNamespace + name, m, () => ({
+        state: getLocalState(),
+        getters: oLocalGetters,
+        externals: this.externals,
+        rootState: this.state,
+        rootGetters: this.getters
+      }))
+    })
+    this.iterate(actions, (a, name) => {
+      this.defineAction(sNamespace + name, a, () => ({
+        state: getLocalState(),
+        getters: oLocalGetters,
+        commit,
+        dispatch,
+        externals: this.externals,
+        rootState: this.state,
+        rootGetters: this.getters
+      }))
+    })
+    this.iterate(modules, (m, name) => {
+      this.registerModule([...path, name], m)
+    })
+  }
+
+  /**
+   * runs a mutation
+   * @param name {string} mutation name
+   * @param payload {*} mutation payload
+   * @returns {*} result of the mutation
+   */
+  commit (name, payload) {
+    if (!(name in this._mutations)) {
+      throw new Error(`Cannot commit mutation "${name}" : this mutation is not defined.`)
+    }
+    return this._mutations[name](payload)
+  }
+
+  /**
+   * runs an action
+   * @param name {string} action name
+   * @param payload {*} action payload
+   * @returns {Promise<*>} resolved with the result of the action
+   */
+  dispatch (name, payload) {
+    if (!(name in this._actions)) {
+      return Promise.reject(new Error(`Cannot dispatch action "${name}" : this action is not defined.`))
+    }
+    return this._actions[name](payload)
+  }
+
+  /**
+   * runs a getter
+   * @param name {string} getter name
+   * @return {*} result of the getter
    */
   runGetter (name) {
     const getter = this._getters[name]
@@ -449,12 +2346,119 @@ class Reactor {
     const pEffect = () => {
       gns._cache = getter(this._state, this.getters, this.externals)
       gns._invalidCache = false
+      gns._computedAt = Date.now()
     }
     gns._depreg.reset()
+    this.dropGetterEntries(gns)
     pEffect._depreg = gns._depreg
     this.createEffect(pEffect)
+    if (typeof gns._cache === 'function') {
+      gns._cache = this.createParameterizedGetter(gns, gns._cache)
+    }
     return gns._cache
   }
+
+  /**
+   * Creates a dependency registry, whose dependencies are all registered in the reactor dependency index
+   * @param owner {object} getter data, parameterised getter entry or effect
+   * @returns {DependencyRegistry}
+   */
+  createDependencyRegistry (owner) {
+    return new DependencyRegistry(this._dependencyIndex, owner)
+  }
+
+  /**
+   * Drops all cache entries of a parameterised getter
+   * @param gns {object} getter data
+   */
+  dropGetterEntries (gns) {
+    if (gns._entries) {
+      gns._entries.forEach(entry => {
+        entry._depreg.reset()
+      })
+      gns._entries = null
+    }
+  }
+
+  /**
+   * Computes a key identifying an argument tuple.
+   * Primitive arguments are identified by value, objects, functions and symbols by reference ;
+   * their ids are held in a WeakMap (symbols are held strongly by engines older than Node 20),
+   * so the key does not keep an argument alive ; cache entries hold object arguments weakly too (see refArgument)
+   * Registered symbols (Symbol.for) are identified by their key
+   * @param args {array}
+   * @returns {string}
+   */
+  getArgumentKey (args) {
+    return JSON.stringify(args.map(arg => {
+      const sType = typeof arg
+      if (sType === 'symbol' && Symbol.keyFor(arg) !== undefined) {
+        return 'symbol.for:' + Symbol.keyFor(arg)
+      }
+      if ((sType === 'object' && arg !== null) || sType === 'function' || sType === 'symbol') {
+        const mIds = sType === 'symbol' ? this._symbolArgumentIds : this._argumentIds
+        if (!mIds.has(arg)) {
+          mIds.set(arg, ++this._lastArgumentId)
+        }
+        return 'ref:' + mIds.get(arg)
+      }
+      return sType + ':' + String(arg)
+    }))
+  }
+
+  /**
+   * When a getter returns a function (ex: getters.itemById(id)),
+   * the function is wrapped so that each argument tuple has its own cache entry and dependencies.
+   * Least recently used entries are dropped when there are more than getterCacheSize entries.
+   * @param gns {object} getter data
+   * @param fn {function} function returned by the getter
+   * @returns {function}
+   */
+  createParameterizedGetter (gns, fn) {
+    const entries = new Map()
+    gns._entries = entries
+    return (...args) => {
+      const sKey = this.getArgumentKey(args)
+      let entry = entries.get(sKey)
+      if (entry) {
+        // most recently used entries are at the end of the map
+        entries.delete(sKey)
+        entries.set(sKey, entry)
+      } else {
+        entry = {
+          _cache: undefined,
+          _invalidCache: true,
+          _name: gns._name,
+          _args: args.map(refArgument),
+          _depreg: null,
+          _computedAt: null
+        }
+        entry._depreg = this.createDependencyRegistry(entry)
+        entries.set(sKey, entry)
+        if (entries.size > this._getterCacheSize) {
+          const [sOldestKey, oOldestEntry] = entries.entries().next().value
+          entries.delete(sOldestKey)
+          // what depends on a dropped entry would not be notified anymore
+          this.trigger(oOldestEntry, '_cache')
+          oOldestEntry._depreg.reset()
+        }
+      }
+      this.track(entry, '_cache')
+      if (entry._invalidCache) {
+        const pEffect = () => {
+          entry._cache = fn(...args)
+          entry._invalidCache = false
+          entry._computedAt = Date.now()
+        }
+        entry._depreg.reset()
+        pEffect._depreg = entry._depreg
+        this.createEffect(pEffect)
+      }
+      return this._readonlyGetters
+        ? this.readonly(entry._cache)
+        : entry._cache
+    }
+  }
 }
 
 module.exports = Reactor
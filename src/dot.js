@@ -0,0 +1,60 @@
+/**
+ * Renders a dependency graph, as returned by Reactor.inspect(), in Graphviz DOT language.
+ * State paths are drawn as ellipses, getters as boxes (dashed when their cache is invalid) ;
+ * edges go from what is read to the getter reading it.
+ * A getter also depends on the state read by the getters it uses : such edges are not drawn
+ */
+
+/**
+ * @param s {string}
+ * @returns {string} a quoted DOT identifier
+ */
+function quote (s) {
+  return '"' + s.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"'
+}
+
+/**
+ * @param graph {object} result of Reactor.inspect()
+ * @param name {string} graph name
+ * @returns {string}
+ */
+function toDot (graph, name = 'reactor') {
+  const aNodes = []
+  const aEdges = []
+  const oStateNodes = new Set()
+  // dependencies of parameterised getter entries are merged into their getter
+  const oDependencies = {}
+  const oGetters = {}
+  Object.values(graph).forEach(getter => {
+    oDependencies[getter.name] = new Set(getter.dependencies)
+    oGetters[getter.name] = new Set(getter.getters)
+    getter.entries.forEach(entry => {
+      entry.dependencies.forEach(sPath => oDependencies[getter.name].add(sPath))
+      entry.getters.forEach(sName => oGetters[getter.name].add(sName))
+    })
+  })
+  Object.values(graph).forEach(getter => {
+    const sGetterId = quote('getter:' + getter.name)
+    const sStyle = getter.invalidCache ? ', style=dashed' : ''
+    aNodes.push(`  ${sGetterId} [shape=box, label=${quote(getter.name)}${sStyle}];`)
+    const aUsedGetters = [...oGetters[getter.name]]
+    oDependencies[getter.name].forEach(sPath => {
+      if (aUsedGetters.some(sName => oDependencies[sName] && oDependencies[sName].has(sPath))) {
+        return
+      }
+      if (!oStateNodes.has(sPath)) {
+        oStateNodes.add(sPath)
+        aNodes.push(`  ${quote('state:' + sPath)} [shape=ellipse, label=${quote(sPath)}];`)
+      }
+      aEdges.push(`  ${quote('state:' + sPath)} -> ${sGetterId};`)
+    })
+    aUsedGetters.forEach(sName => {
+      aEdges.push(`  ${quote('getter:' + sName)} -> ${sGetterId};`)
+    })
+  })
+  return [`digraph ${quote(name)} {`, ...aNodes, ...aEdges, '}'].join('\n')
+}
+
+module.exports = {
+  toDot
+}
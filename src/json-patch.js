@@ -0,0 +1,79 @@
+/**
+ * Helpers for JSON Pointer (RFC 6901) and JSON Patch (RFC 6902)
+ */
+
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test']
+
+/**
+ * Builds a JSON pointer from a path
+ * @param path {Array<string|number>}
+ * @returns {string}
+ */
+function formatPointer (path) {
+  return path
+    .map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('')
+}
+
+/**
+ * Splits a JSON pointer into a path
+ * @param pointer {string}
+ * @returns {string[]}
+ */
+function parsePointer (pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer.charAt(0) !== '/')) {
+    throw new Error(`"${pointer}" is not a valid JSON pointer.`)
+  }
+  return pointer === ''
+    ? []
+    : pointer
+      .substr(1)
+      .split('/')
+      .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * Returns true if a string is a valid array index, as written in a JSON pointer
+ * @param key {string}
+ * @returns {boolean}
+ */
+function isArrayIndex (key) {
+  return /^(0|[1-9][0-9]*)$/.test(key)
+}
+
+/**
+ * Compares two plain values
+ * @param a {*}
+ * @param b {*}
+ * @returns {boolean}
+ */
+function isDeepEqual (a, b) {
+  if (Object.is(a, b)) {
+    return true
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false
+  }
+  if (a instanceof Map || a instanceof Set || b instanceof Map || b instanceof Set) {
+    if (a.constructor !== b.constructor || a.size !== b.size) {
+      return false
+    }
+    const aEntriesB = [...b.entries()]
+    return [...a.entries()].every(([key, value], i) => isDeepEqual(key, aEntriesB[i][0]) && isDeepEqual(value, aEntriesB[i][1]))
+  }
+  const aKeys = Object.keys(a)
+  const aKeysB = Object.keys(b)
+  return aKeys.length === aKeysB.length &&
+    aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]))
+}
+
+module.exports = {
+  PATCH_OPERATIONS,
+  formatPointer,
+  parsePointer,
+  isArrayIndex,
+  isDeepEqual
+}
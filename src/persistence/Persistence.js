@@ -0,0 +1,248 @@
+/**
+ * Saves state (or some paths of state) to a storage adapter after it has changed, and restores it.
+ * An adapter is any object having two asynchronous methods :
+ * - load(key) : resolves with previously saved data, or null
+ * - save(key, data) : saves data
+ */
+class Persistence {
+  /**
+   * @param reactor {Reactor}
+   * @param adapter {object} storage adapter { load, save }
+   * @param key {string} storage key
+   * @param paths {string[]|null} if specified, only these state paths (like "hero.inventory") are saved and restored
+   * @param debounce {number} if > 0, state is saved once it has not changed for this number of milliseconds
+   * @param throttle {number} if > 0, state is saved at most once every this number of milliseconds
+   */
+  constructor (reactor, { adapter, key = 'state', paths = null, debounce = 0, throttle = 0 } = {}) {
+    if (!adapter || typeof adapter.load !== 'function' || typeof adapter.save !== 'function') {
+      throw new TypeError('Persistence adapter must have "load" and "save" methods.')
+    }
+    if (paths !== null && !Array.isArray(paths)) {
+      throw new TypeError(`Persistence paths must be an array ; "${reactor.getType(paths)}" was given.`)
+    }
+    this._reactor = reactor
+    this._adapter = adapter
+    this._key = key
+    this._paths = paths
+    this._pathKeys = paths === null ? null : paths.map(sPath => sPath.split('.'))
+    this._debounce = debounce
+    this._throttle = throttle
+    this._timer = null
+    this._lastSaveTime = -Infinity
+    this._saving = Promise.resolve()
+    this._journal = null
+    this._dirty = false
+  }
+
+  /**
+   * Finds the object holding the value of a dot separated path in state
+   * @param sPath {string}
+   * @returns {{ found: boolean, container: object|null, key: string }} found is true if the value exists
+   */
+  resolvePath (sPath) {
+    const aKeys = sPath.split('.')
+    const key = aKeys.pop()
+    let container = this._reactor.state
+    for (const k of aKeys) {
+      if (container === null || typeof container !== 'object' || !(k in container)) {
+        return { found: false, container: null, key }
+      }
+      container = container[k]
+    }
+    const bFound = container !== null && typeof container === 'object'
+    return { found: bFound && key in container, container: bFound ? container : null, key }
+  }
+
+  /**
+   * Builds data to be saved : a plain copy of state, or an object whose keys are the selected paths
+   * @returns {object}
+   */
+  getData () {
+    const reactor = this._reactor
+    if (this._paths === null) {
+      return reactor.snapshot()
+    }
+    const oData = {}
+    this._paths.forEach(sPath => {
+      const { found, container, key } = this.resolvePath(sPath)
+      if (found) {
+        oData[sPath] = reactor.toPlain(container[key])
+      }
+    })
+    return oData
+  }
+
+  /**
+   * Tells if a state change modifies saved data : with paths, the changed place must be inside a saved path,
+   * or contain one
+   * @param change {object} a change, as recorded in reactor journals
+   * @returns {boolean}
+   */
+  isSaved ({ target, kind, key }) {
+    if (this._pathKeys === null) {
+      return true
+    }
+    const reactor = this._reactor
+    // a Set change, or a change of an object held by a Set, changes the whole Set
+    const aChangePaths = reactor.getPaths(target).map(aPath => kind === 'set' ? aPath : [...aPath, key])
+    reactor.getEnclosingSets(target).forEach(set => {
+      aChangePaths.push(...reactor.getPaths(set))
+    })
+    return aChangePaths.some(aPath => this._pathKeys.some(aKeys => {
+      for (let i = 0, l = Math.min(aPath.length, aKeys.length); i < l; ++i) {
+        if (String(aPath[i]) !== aKeys[i]) {
+          return false
+        }
+      }
+      return true
+    }))
+  }
+
+  /**
+   * Writes loaded data into state ; with paths, a path is restored only if its parent exists in state
+   * @param data {object}
+   */
+  setData (data) {
+    const reactor = this._reactor
+    if (this._paths === null) {
+      reactor.replaceState(data)
+      return
+    }
+    reactor.allowWrites(() => reactor.batch(() => {
+      this._paths.forEach(sPath => {
+        if (Object.prototype.hasOwnProperty.call(data, sPath)) {
+          const { container, key } = this.resolvePath(sPath)
+          if (container) {
+            container[key] = data[sPath]
+          }
+        }
+      })
+    }))
+  }
+
+  /**
+   * Loads saved data into state, then starts saving state each time it changes.
+   * Errors are also emitted as "persistence:error" events ; state is not saved after a failed restore,
+   * so that saved data is not overwritten.
+   * Mutations throw an error until restore is over : the restored state would overwrite their changes
+   * @returns {Promise<boolean>} true if saved data has been found
+   */
+  async restore () {
+    const pUnguard = this._reactor.use(({ name }) => {
+      throw new Error(`Cannot run mutation "${name}" before state is restored : wait for reactor.ready.`)
+    })
+    let bFound
+    try {
+      const data = await this._adapter.load(this._key)
+      bFound = data !== null && data !== undefined
+      if (bFound) {
+        this.setData(data)
+      }
+    } catch (error) {
+      this.emitError(error)
+      throw error
+    } finally {
+      pUnguard()
+    }
+    this.start()
+    return bFound
+  }
+
+  /**
+   * Starts saving state each time it changes, whatever changes it : mutations, undo/redo, patches...
+   * Changes only mark state as modified : it is read and serialized when the save runs
+   */
+  start () {
+    if (this._journal === null) {
+      this._journal = this._reactor.openJournal(change => {
+        // the journal is only used to be notified of changes : nothing is kept in it
+        this._journal.length = 0
+        if (this.isSaved(change)) {
+          this._dirty = true
+          this.schedule()
+        }
+        return null
+      })
+    }
+  }
+
+  /**
+   * Stops saving state ; a pending save is cancelled
+   */
+  stop () {
+    if (this._journal !== null) {
+      this._reactor.closeJournal(this._journal)
+      this._journal = null
+    }
+    this.cancel()
+  }
+
+  /**
+   * Cancels a pending save
+   */
+  cancel () {
+    if (this._timer !== null) {
+      clearTimeout(this._timer)
+      this._timer = null
+    }
+  }
+
+  /**
+   * Schedules a save, according to debounce and throttle options.
+   * With neither of them, state is saved once the current writes are over : changes made in the same tick are saved once
+   */
+  schedule () {
+    if (this._debounce > 0) {
+      this.cancel()
+      this._timer = setTimeout(() => this.autoSave(), this._debounce)
+    } else if (this._timer === null) {
+      const nDelay = this._throttle > 0 ? Math.max(0, this._lastSaveTime + this._throttle - Date.now()) : 0
+      this._timer = setTimeout(() => this.autoSave(), nDelay)
+    }
+  }
+
+  /**
+   * Saves state if it has changed since last save ; errors are emitted as "persistence:error" events
+   */
+  autoSave () {
+    this._timer = null
+    if (this._dirty) {
+      this.save().catch(error => this.emitError(error))
+    }
+  }
+
+  /**
+   * Emits a "persistence:error" event
+   * @param error {Error}
+   */
+  emitError (error) {
+    this._reactor.events.emit('persistence:error', { key: this._key, error })
+  }
+
+  /**
+   * Saves state now. Saves are made one after the other, in the order they were requested
+   * @returns {Promise<void>}
+   */
+  save () {
+    this.cancel()
+    this._dirty = false
+    this._lastSaveTime = Date.now()
+    const data = this.getData()
+    const pSave = this._saving.then(() => this._adapter.save(this._key, data))
+    this._saving = pSave.catch(() => {})
+    return pSave
+  }
+
+  /**
+   * Saves state now if a save is pending, and waits for all saves to be over
+   * @returns {Promise<void>}
+   */
+  async flush () {
+    if (this._timer !== null) {
+      await this.save()
+    }
+    await this._saving
+  }
+}
+
+module.exports = Persistence
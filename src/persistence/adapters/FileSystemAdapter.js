@@ -0,0 +1,57 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Persistence adapter saving data as JSON files, one file per storage key, in a directory
+ */
+class FileSystemAdapter {
+  /**
+   * @param directory {string} directory where files are saved ; it is created if it does not exist
+   */
+  constructor ({ directory }) {
+    if (typeof directory !== 'string') {
+      throw new TypeError(`FileSystemAdapter directory must be a string ; "${typeof directory}" was given.`)
+    }
+    this._directory = directory
+  }
+
+  /**
+   * @param key {string} storage key
+   * @returns {string} file name
+   */
+  getFileName (key) {
+    return path.join(this._directory, encodeURIComponent(key) + '.json')
+  }
+
+  /**
+   * @param key {string} storage key
+   * @returns {Promise<*>} saved data, or null if the file does not exist
+   */
+  async load (key) {
+    try {
+      const sContent = await fs.promises.readFile(this.getFileName(key), { encoding: 'utf8' })
+      return JSON.parse(sContent)
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null
+      }
+      throw e
+    }
+  }
+
+  /**
+   * Writes data in a temporary file, then renames it, so that a crash never leaves a truncated file
+   * @param key {string} storage key
+   * @param data {*} data to be saved
+   * @returns {Promise<void>}
+   */
+  async save (key, data) {
+    const sFileName = this.getFileName(key)
+    const sTempFileName = sFileName + '.tmp'
+    await fs.promises.mkdir(this._directory, { recursive: true })
+    await fs.promises.writeFile(sTempFileName, JSON.stringify(data), { encoding: 'utf8' })
+    await fs.promises.rename(sTempFileName, sFileName)
+  }
+}
+
+module.exports = FileSystemAdapter
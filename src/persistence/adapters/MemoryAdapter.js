@@ -0,0 +1,36 @@
+/**
+ * Persistence adapter keeping saved data in memory ; useful for tests.
+ * Data is stored as JSON, so that saved data never shares references with state
+ */
+class MemoryAdapter {
+  /**
+   * @param data {object} initial content : an object whose keys are storage keys
+   */
+  constructor (data = {}) {
+    this._storage = new Map()
+    Object.keys(data).forEach(key => {
+      this._storage.set(key, JSON.stringify(data[key]))
+    })
+  }
+
+  /**
+   * @param key {string} storage key
+   * @returns {Promise<*>} saved data, or null if nothing has been saved under this key
+   */
+  async load (key) {
+    return this._storage.has(key)
+      ? JSON.parse(this._storage.get(key))
+      : null
+  }
+
+  /**
+   * @param key {string} storage key
+   * @param data {*} data to be saved
+   * @returns {Promise<void>}
+   */
+  async save (key, data) {
+    this._storage.set(key, JSON.stringify(data))
+  }
+}
+
+module.exports = MemoryAdapter
@@ -0,0 +1,9 @@
+const Persistence = require('./Persistence')
+const FileSystemAdapter = require('./adapters/FileSystemAdapter')
+const MemoryAdapter = require('./adapters/MemoryAdapter')
+
+module.exports = {
+  Persistence,
+  FileSystemAdapter,
+  MemoryAdapter
+}
@@ -0,0 +1,162 @@
+/**
+ * A subset of JSON Schema, used to validate state :
+ * type, required, enum, minimum, maximum, items and properties
+ */
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+
+/**
+ * Returns the JSON Schema type of a value
+ * @param value {*}
+ * @returns {string}
+ */
+function getSchemaType (value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  return typeof value
+}
+
+/**
+ * Returns true if a value matches a JSON Schema type
+ * @param value {*}
+ * @param sType {string}
+ * @returns {boolean}
+ */
+function matchType (value, sType) {
+  const sValueType = getSchemaType(value)
+  switch (sType) {
+    case 'integer': {
+      return Number.isInteger(value)
+    }
+
+    case 'number': {
+      return sValueType === 'number' && !isNaN(value)
+    }
+
+    default: {
+      return sValueType === sType
+    }
+  }
+}
+
+/**
+ * Checks that a schema only uses supported types
+ * @param schema {object}
+ * @param path {string[]} path of the schema, for error messages
+ */
+function checkSchema (schema, path = []) {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new TypeError(`Schema at "${path.join('.')}" must be an object ; "${getSchemaType(schema)}" was given.`)
+  }
+  if ('type' in schema) {
+    const aTypes = Array.isArray(schema.type) ? schema.type : [schema.type]
+    aTypes.forEach(sType => {
+      if (!SCHEMA_TYPES.includes(sType)) {
+        throw new TypeError(`Schema at "${path.join('.')}" has an unsupported type "${sType}".`)
+      }
+    })
+  }
+  if ('items' in schema) {
+    checkSchema(schema.items, [...path, 'items'])
+  }
+  if ('properties' in schema) {
+    Object.keys(schema.properties).forEach(key => {
+      checkSchema(schema.properties[key], [...path, 'properties', key])
+    })
+  }
+}
+
+/**
+ * Returns the schema of a value stored at a given path, or null if this value is not constrained
+ * @param schema {object|null} schema of the root value
+ * @param path {Array<string|number>}
+ * @returns {object|null}
+ */
+function getSubSchema (schema, path) {
+  let s = schema
+  for (let i = 0, l = path.length; i < l && s; ++i) {
+    const key = path[i]
+    if (typeof key === 'number') {
+      s = s.items || null
+    } else {
+      s = (s.properties && Object.prototype.hasOwnProperty.call(s.properties, key))
+        ? s.properties[key]
+        : null
+    }
+  }
+  return s || null
+}
+
+/**
+ * Validates a value against a schema
+ * @param value {*}
+ * @param schema {object|null}
+ * @param path {Array<string|number>} path of the value
+ * @returns {{ path: Array<string|number>, message: string }|null} first violation found, or null if value is valid
+ */
+function validate (value, schema, path = []) {
+  if (!schema) {
+    return null
+  }
+  if ('type' in schema) {
+    const aTypes = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!aTypes.some(sType => matchType(value, sType))) {
+      return {
+        path,
+        message: `must be of type "${aTypes.join('" or "')}" ; "${Number.isNaN(value) ? 'NaN' : getSchemaType(value)}" was given`
+      }
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(x => Object.is(x, value))) {
+    return {
+      path,
+      message: `must be one of ${JSON.stringify(schema.enum)} ; ${JSON.stringify(value)} was given`
+    }
+  }
+  if (typeof value === 'number') {
+    if ('minimum' in schema && value < schema.minimum) {
+      return { path, message: `must be >= ${schema.minimum} ; ${value} was given` }
+    }
+    if ('maximum' in schema && value > schema.maximum) {
+      return { path, message: `must be <= ${schema.maximum} ; ${value} was given` }
+    }
+  }
+  const sValueType = getSchemaType(value)
+  if (sValueType === 'array' && schema.items) {
+    for (let i = 0, l = value.length; i < l; ++i) {
+      const oError = validate(value[i], schema.items, [...path, i])
+      if (oError) {
+        return oError
+      }
+    }
+  }
+  if (sValueType === 'object') {
+    if (Array.isArray(schema.required)) {
+      const sMissing = schema.required.find(key => !(key in value))
+      if (sMissing !== undefined) {
+        return { path, message: `required property "${sMissing}" is missing` }
+      }
+    }
+    if (schema.properties) {
+      for (const key of Object.keys(schema.properties)) {
+        if (key in value) {
+          const oError = validate(value[key], schema.properties[key], [...path, key])
+          if (oError) {
+            return oError
+          }
+        }
+      }
+    }
+  }
+  return null
+}
+
+module.exports = {
+  checkSchema,
+  getSubSchema,
+  validate
+}